@@ -0,0 +1,253 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Action Editor - Editable preview of a proposed creation before it is confirmed
+ */
+
+import { MODULE_ID } from './config.js';
+import { ABILITIES, ACTOR_SIZES, ACTOR_TYPES, ACTION_TYPES, DAMAGE_TYPES, ITEM_TYPES, SPELL_SCHOOLS } from './creation-schema.js';
+import { ActorManager } from './actor-manager.js';
+import { ItemManager } from './item-manager.js';
+
+/**
+ * Form over the payload of a pending create_actor or create_item.
+ * The form edits the main fields; everything else in the payload (custom item data,
+ * senses, skills...) is kept as proposed.
+ */
+export class ActionEditorApp extends FormApplication {
+    static ACTIONS = ['create_actor', 'create_item'];
+
+    /**
+     * @param {Object} action - Pending action ({ id, type, data })
+     * @param {Object} options - Application options
+     */
+    constructor(action, options = {}) {
+        super(action, options);
+        this.action = action;
+        this.data = foundry.utils.deepClone(action.data); // Working copy, survives re-renders
+    }
+
+    /**
+     * Whether an action type has a preview form
+     * @param {string} type - Action type
+     * @returns {boolean}
+     */
+    static supports(type) {
+        return this.ACTIONS.includes(type);
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            title: game.i18n.localize('RYOMA.Editor.Title'),
+            template: `modules/${MODULE_ID}/templates/action-editor.hbs`,
+            classes: ['rioma-action-editor'],
+            width: 560,
+            height: 'auto',
+            resizable: true,
+            closeOnSubmit: false
+        });
+    }
+
+    get id() {
+        return `rioma-action-editor-${this.action.id}`;
+    }
+
+    getData() {
+        const data = this.data;
+        const isActor = this.action.type === 'create_actor';
+        const recap = isActor ? ActorManager.buildCreationRecap(data) : ItemManager.buildCreationRecap(data);
+
+        return {
+            recap,
+            isActor,
+            isItem: !isActor,
+            isSpell: data.type === 'spell',
+            data,
+            abilities: ABILITIES.map(key => ({
+                key,
+                label: key.toUpperCase(),
+                value: typeof data.abilities?.[key] === 'object' ? data.abilities[key].value : data.abilities?.[key]
+            })),
+            items: (data.items || []).map((item, index) => ({
+                index,
+                name: item.name,
+                type: item.type,
+                fromCompendium: !!item.fromCompendium
+            })),
+            damage: (Array.isArray(data.damage) ? data.damage : []).map((part, index) => ({ index, ...part })),
+            choices: {
+                actorTypes: this.toChoices(ACTOR_TYPES),
+                sizes: this.toChoices(ACTOR_SIZES),
+                itemTypes: this.toChoices(ITEM_TYPES),
+                actionTypes: this.toChoices(ACTION_TYPES, true),
+                damageTypes: this.toChoices(DAMAGE_TYPES),
+                schools: this.toChoices(SPELL_SCHOOLS, true)
+            }
+        };
+    }
+
+    /**
+     * Turn a list of values into select choices
+     * @param {Array<string>} values - Allowed values
+     * @param {boolean} allowEmpty - Whether "none" is a choice
+     * @returns {Object} Choices by value
+     */
+    toChoices(values, allowEmpty = false) {
+        const choices = Object.fromEntries(values.map(v => [v, v]));
+        return allowEmpty ? { '': '—', ...choices } : choices;
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('[data-action="close"]').on('click', () => this.close());
+        html.find('[data-action="add-item"]').on('click', this._onAddRow.bind(this, 'items'));
+        html.find('[data-action="add-damage"]').on('click', this._onAddRow.bind(this, 'damage'));
+        html.find('[data-action="delete-row"]').on('click', this._onDeleteRow.bind(this));
+        html.find('[data-action="edit-json"]').on('click', this._onEditJson.bind(this));
+        // Spells have their own fields
+        html.find('select[name="type"]').on('change', this._onChangeType.bind(this));
+    }
+
+    /**
+     * Apply the form fields to a copy of the working payload
+     * @param {Object} formData - Flat form data
+     * @returns {Object} Edited payload
+     */
+    _readForm(formData = this._getSubmitData()) {
+        const form = foundry.utils.expandObject(formData);
+        const data = foundry.utils.deepClone(this.data);
+
+        data.name = form.name?.trim() || data.name;
+        if (form.type) data.type = form.type;
+        if (this.action.type === 'create_actor') {
+            this.readActorFields(data, form);
+        } else {
+            this.readItemFields(data, form);
+        }
+        return data;
+    }
+
+    /**
+     * Apply the actor fields of the form
+     * @param {Object} data - Payload to update
+     * @param {Object} form - Expanded form data
+     */
+    readActorFields(data, form) {
+        this.setOptional(data, 'cr', form.cr === '' || form.cr === null ? undefined : form.cr);
+        this.setOptional(data, 'size', form.size || undefined);
+        this.setOptional(data, 'creatureType', form.creatureType?.trim() || undefined);
+
+        data.hp = { ...data.hp, max: form.hp?.max ?? data.hp?.max };
+        this.setOptional(data.hp, 'formula', form.hp?.formula?.trim() || undefined);
+        data.ac = { ...data.ac, value: form.ac?.value ?? data.ac?.value };
+
+        data.abilities = { ...data.abilities };
+        for (const key of ABILITIES) {
+            const value = form.abilities?.[key];
+            if (value !== null && value !== undefined && value !== '') data.abilities[key] = value;
+        }
+
+        // Rows keep the proposed item (custom data included) they came from
+        const original = data.items || [];
+        const rows = Object.values(form.items || {});
+        if (rows.length > 0 || original.length > 0) {
+            data.items = rows.map(row => ({
+                ...(original[row.index] || {}),
+                name: row.name?.trim() || original[row.index]?.name || '',
+                type: row.type,
+                fromCompendium: !!row.fromCompendium
+            }));
+        }
+    }
+
+    /**
+     * Apply the item fields of the form
+     * @param {Object} data - Payload to update
+     * @param {Object} form - Expanded form data
+     */
+    readItemFields(data, form) {
+        this.setOptional(data, 'description', form.description ?? data.description);
+        this.setOptional(data, 'actionType', form.actionType || undefined);
+
+        if (data.type === 'spell') {
+            this.setOptional(data, 'level', form.level ?? undefined);
+            this.setOptional(data, 'school', form.school || undefined);
+        }
+
+        const rows = Object.values(form.damage || {});
+        if (rows.length > 0 || Array.isArray(data.damage)) {
+            data.damage = rows.map(row => ({ formula: row.formula?.trim() || '', type: row.type }));
+        }
+    }
+
+    /**
+     * Drop the rows left empty (items without a name, damage without a formula)
+     * @param {Object} data - Edited payload
+     * @returns {Object} Payload ready to save
+     */
+    dropEmptyRows(data) {
+        if (Array.isArray(data.items)) data.items = data.items.filter(item => item.name);
+        if (Array.isArray(data.damage)) {
+            data.damage = data.damage.filter(part => part.formula);
+            if (data.damage.length === 0) delete data.damage;
+        }
+        return data;
+    }
+
+    /**
+     * Set a field, or remove it when the value is undefined
+     * @param {Object} target - Object to update
+     * @param {string} key - Field name
+     * @param {*} value - New value
+     */
+    setOptional(target, key, value) {
+        if (value === undefined) delete target[key];
+        else target[key] = value;
+    }
+
+    async _onAddRow(collection, event) {
+        event.preventDefault();
+        this.data = this._readForm();
+        const rows = Array.isArray(this.data[collection]) ? this.data[collection] : [];
+        rows.push(collection === 'items'
+            ? { name: '', type: 'weapon', fromCompendium: true }
+            : { formula: '', type: DAMAGE_TYPES[0] });
+        this.data[collection] = rows;
+        this.render();
+    }
+
+    async _onDeleteRow(event) {
+        event.preventDefault();
+        const { collection, index } = event.currentTarget.dataset;
+        this.data = this._readForm();
+        this.data[collection]?.splice(Number(index), 1);
+        this.render();
+    }
+
+    _onChangeType(event) {
+        this.data = this._readForm();
+        this.render();
+    }
+
+    async _onEditJson(event) {
+        event.preventDefault();
+        const { ChatHandler } = await import('./chat-handler.js');
+        await this.close();
+        await ChatHandler.editActionJson(this.action.id);
+    }
+
+    async _updateObject(event, formData) {
+        const { ChatHandler } = await import('./chat-handler.js');
+        const data = this._readForm(formData);
+
+        // Invalid edits keep the form open
+        if (!await ChatHandler.saveActionEdit(this.action.id, this.dropEmptyRows(foundry.utils.deepClone(data)))) {
+            this.data = data;
+            return;
+        }
+
+        await this.close();
+        if (event.submitter?.dataset.action === 'save-confirm') {
+            await ChatHandler.handleConfirmation(true, this.action.id);
+        }
+    }
+}
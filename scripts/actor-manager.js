@@ -43,7 +43,7 @@ export class ActorManager {
      */
     static buildActorData(data) {
         const actorData = {
-            name: data.name || 'Nuovo Actor',
+            name: data.name || game.i18n.localize('RYOMA.Actions.NewActor'),
             type: data.type || 'npc',
             img: data.img || 'icons/svg/mystery-man.svg',
             system: {
@@ -100,6 +100,11 @@ export class ActorManager {
             };
         }
 
+        // A creation from a picture also uses it for the token
+        if (data.tokenImg) {
+            actorData.prototypeToken = { texture: { src: data.tokenImg } };
+        }
+
         // Add skills if provided
         if (data.skills && Object.keys(data.skills).length > 0) {
             actorData.system.skills = {};
@@ -249,7 +254,7 @@ export class ActorManager {
         const custom = data.custom || data;
 
         const itemData = {
-            name: data.name || 'Nuovo Item',
+            name: data.name || game.i18n.localize('RYOMA.Actions.NewItem'),
             type: data.type || 'feat',
             img: data.img || this.getDefaultItemIcon(data.type),
             system: {
@@ -539,35 +544,78 @@ export class ActorManager {
         };
 
         if (data.cr !== undefined) {
-            recap.details.push({ label: 'Grado Sfida', value: data.cr });
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.CR'), value: data.cr });
+        }
+
+        this.addStatsRecap(recap, data);
+
+        if (data.items && data.items.length > 0) {
+            recap.items = data.items.map(i => ({ name: i.name, fromCompendium: !!i.fromCompendium }));
+        }
+
+        return recap;
+    }
+
+    /**
+     * Build a recap of a modification
+     * @param {Object} data - { uuid, changes } from LLM
+     * @returns {Object} Recap for confirmation dialog
+     */
+    static buildModificationRecap(data) {
+        const changes = data.changes || {};
+        const actor = fromUuidSync(data.uuid);
+        const recap = {
+            type: 'Actor',
+            subtype: actor?.type || 'npc',
+            name: actor?.name || data.uuid,
+            details: []
+        };
+
+        if (changes.name && changes.name !== actor?.name) {
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Name'), value: changes.name });
+        }
+        if (changes.cr !== undefined) {
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.CR'), value: changes.cr });
+        }
+
+        this.addStatsRecap(recap, changes);
+
+        if (changes.speed) {
+            const speed = Object.entries(changes.speed).map(([k, v]) => `${k} ${v}`).join(', ');
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Speed'), value: speed });
+        }
+        if (changes.removeItems?.length) {
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.RemoveItems'), value: changes.removeItems.join(', ') });
+        }
+        if (changes.addItems?.length) {
+            recap.items = changes.addItems.map(i => ({ name: i.name, fromCompendium: !!i.fromCompendium }));
         }
 
+        return recap;
+    }
+
+    /**
+     * Add hit points, armor class and abilities to a recap
+     * @param {Object} recap - Recap to extend
+     * @param {Object} data - Actor data or changes
+     */
+    static addStatsRecap(recap, data) {
         if (data.hp) {
             recap.details.push({
-                label: 'Punti Ferita',
+                label: game.i18n.localize('RYOMA.Confirmation.HP'),
                 value: `${data.hp.max || data.hp.value}${data.hp.formula ? ` (${data.hp.formula})` : ''}`
             });
         }
 
         if (data.ac) {
-            recap.details.push({ label: 'Classe Armatura', value: data.ac.value || data.ac });
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.AC'), value: data.ac.value || data.ac });
         }
 
         if (data.abilities) {
             const abilitiesStr = Object.entries(data.abilities)
                 .map(([k, v]) => `${k.toUpperCase()}: ${typeof v === 'object' ? v.value : v}`)
                 .join(', ');
-            recap.details.push({ label: 'Caratteristiche', value: abilitiesStr });
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Abilities'), value: abilitiesStr });
         }
-
-        if (data.items && data.items.length > 0) {
-            const itemsList = data.items.map(i => {
-                const source = i.fromCompendium ? '(compendio)' : '(creato)';
-                return `${i.name} ${source}`;
-            });
-            recap.items = itemsList;
-        }
-
-        return recap;
     }
 }
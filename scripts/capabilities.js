@@ -0,0 +1,101 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Capabilities - What each user role may ask Ryoma
+ */
+
+import { MODULE_ID, getSetting, setSetting } from './config.js';
+import { IntentRouter } from './intent-router.js';
+
+/**
+ * Role-based capability matrix, configured by the GM.
+ * Capabilities are the request intents (chat, rules, lookup, create, modify, encounter);
+ * the Game Master always has all of them. Users below Assistant GM also get a player-safe
+ * context: their own history only, no party hit points, no monster compendiums or world Actors.
+ */
+export class Capabilities {
+    static SETTING_KEY = 'capabilities';
+    static LIST = IntentRouter.INTENTS;
+    static ROLES = ['PLAYER', 'TRUSTED', 'ASSISTANT']; // Configurable roles (GAMEMASTER can do everything)
+    static HIDDEN_CATEGORIES = ['actors']; // Compendium categories left out of the players' context
+
+    // Players ask about rules and the story; Assistant GMs keep full access
+    static DEFAULTS = {
+        PLAYER: ['chat', 'rules'],
+        TRUSTED: ['chat', 'rules'],
+        ASSISTANT: ['chat', 'rules', 'lookup', 'create', 'modify', 'encounter']
+    };
+
+    /**
+     * Get the matrix, stored values over the defaults
+     * @returns {Object} Role -> capability -> boolean
+     */
+    static getMatrix() {
+        const stored = getSetting(this.SETTING_KEY) || {};
+        return Object.fromEntries(this.ROLES.map(role => [role, Object.fromEntries(this.LIST.map(capability => [
+            capability,
+            typeof stored[role]?.[capability] === 'boolean' ? stored[role][capability] : this.DEFAULTS[role].includes(capability)
+        ]))]));
+    }
+
+    /**
+     * Save the matrix
+     * @param {Object} matrix - Role -> capability -> boolean
+     */
+    static async save(matrix) {
+        const normalized = Object.fromEntries(this.ROLES.map(role => [role, Object.fromEntries(
+            this.LIST.map(capability => [capability, !!matrix[role]?.[capability]])
+        )]));
+        await setSetting(this.SETTING_KEY, normalized);
+        console.log(`${MODULE_ID} | Capabilities saved`);
+    }
+
+    /**
+     * Get the matrix key of a user's role
+     * @param {User} user - User
+     * @returns {string|null} Role key, null for users without a role
+     */
+    static getRole(user = game.user) {
+        return Object.keys(CONST.USER_ROLES).find(key => CONST.USER_ROLES[key] === user.role) ?? null;
+    }
+
+    /**
+     * Whether a user may make a kind of request
+     * @param {string|null} capability - Capability, or null for "any" (may talk to Ryoma at all)
+     * @param {User} user - User (defaults to the current one)
+     * @returns {boolean}
+     */
+    static can(capability = null, user = game.user) {
+        if (user.role >= CONST.USER_ROLES.GAMEMASTER) return true;
+
+        const allowed = this.getMatrix()[this.getRole(user)];
+        if (!allowed) return false;
+        return capability ? !!allowed[capability] : Object.values(allowed).some(Boolean);
+    }
+
+    /**
+     * Whether a user sees GM-only context (party hit points, monsters, world Actors, everyone's history)
+     * @param {User} user - User (defaults to the current one)
+     * @returns {boolean}
+     */
+    static hasGMContext(user = game.user) {
+        return user.isGM;
+    }
+
+    /**
+     * Get the capability needed to carry out a proposed action
+     * @param {string} actionType - create_actor, create_item or modify_actor
+     * @returns {string} Capability
+     */
+    static forAction(actionType) {
+        return actionType === 'modify_actor' ? 'modify' : 'create';
+    }
+
+    /**
+     * Get the localized name of a capability
+     * @param {string} capability - Capability
+     * @returns {string} Name
+     */
+    static getLabel(capability) {
+        return game.i18n.localize(`RYOMA.Capabilities.${capability}`);
+    }
+}
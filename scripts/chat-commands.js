@@ -0,0 +1,216 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Chat Commands - `!R` subcommands answered from the world data, without calling the model
+ */
+
+import { MODULE_ID, COMPENDIUM_CATEGORIES, getCategoryName, getLocale } from './config.js';
+import { PartyAnalyzer } from './party-analyzer.js';
+import { CompendiumBrowser } from './compendium-browser.js';
+import { ConversationManager } from './conversation-manager.js';
+import { Capabilities } from './capabilities.js';
+import { ChatVisibility } from './chat-visibility.js';
+
+/**
+ * Deterministic subcommands. A message is a command only when its first word names one
+ * and its arguments parse: anything else (e.g. "cerca un mostro adatto al party") still
+ * goes to the model.
+ */
+export class ChatCommands {
+    static SEARCH_LIMIT = 10;
+
+    // Words accepted for each encounter difficulty (in every language)
+    static DIFFICULTIES = {
+        easy: ['easy', 'facile'],
+        medium: ['medium', 'media', 'medio'],
+        hard: ['hard', 'difficile'],
+        deadly: ['deadly', 'mortale', 'letale']
+    };
+
+    /**
+     * Command registry: aliases, usage and description (i18n keys), the capability the
+     * user needs, whether names in the output become content links, an argument parser
+     * returning null when the message is not this command, and the handler
+     */
+    static COMMANDS = {
+        help: {
+            aliases: ['aiuto', '?'],
+            description: 'RYOMA.Commands.Help',
+            parse: (args) => args ? null : {},
+            handler: async (args, context) => ChatCommands.buildHelp(context.prefix)
+        },
+
+        party: {
+            aliases: ['gruppo'],
+            description: 'RYOMA.Commands.Party',
+            capability: 'chat',
+            parse: (args) => args ? null : {},
+            handler: async () => (await PartyAnalyzer.getContextForLLM({ stats: Capabilities.hasGMContext() })).summary
+        },
+
+        budget: {
+            aliases: [],
+            usage: 'RYOMA.Commands.BudgetUsage',
+            description: 'RYOMA.Commands.Budget',
+            capability: 'encounter',
+            parse: (args) => {
+                if (!args) return { difficulty: 'medium' };
+                const difficulty = ChatCommands.resolveDifficulty(args);
+                return difficulty ? { difficulty } : null;
+            },
+            handler: async (args) => ChatCommands.formatBudget(await PartyAnalyzer.calculateEncounterBudget(args.difficulty))
+        },
+
+        cerca: {
+            aliases: ['search', 'find'],
+            usage: 'RYOMA.Commands.SearchUsage',
+            description: 'RYOMA.Commands.Search',
+            capability: 'lookup',
+            link: true, // Result names become content links
+            parse: (args) => {
+                const [word, ...rest] = args.split(/\s+/);
+                const category = ChatCommands.resolveCategory(word);
+                const query = rest.join(' ').trim();
+                return category && query ? { category, query } : null;
+            },
+            handler: async (args) => {
+                if (!Capabilities.hasGMContext() && Capabilities.HIDDEN_CATEGORIES.includes(args.category)) {
+                    return game.i18n.format('RYOMA.Commands.HiddenCategory', { category: getCategoryName(args.category) });
+                }
+                const found = await CompendiumBrowser.search(args.category, args.query, ChatCommands.SEARCH_LIMIT);
+                return found.message || CompendiumBrowser.formatResultsForLLM(found.results, args.category);
+            }
+        },
+
+        storico: {
+            aliases: ['history'],
+            description: 'RYOMA.Commands.History',
+            capability: 'chat',
+            parse: (args) => args ? null : {},
+            // Players without the GM context only see the stats of their own exchanges
+            handler: async () => ChatCommands.formatStats(
+                await ConversationManager.getStats(Capabilities.hasGMContext() ? null : game.user.id)
+            )
+        }
+    };
+
+    /**
+     * Find the command a message asks for
+     * @param {string} message - Message without the persona prefix
+     * @returns {Object|null} { name, command, args } or null when the model should answer
+     */
+    static match(message) {
+        const [word, ...rest] = message.trim().split(/\s+/);
+        const lower = word?.toLowerCase();
+        if (!lower) return null;
+
+        for (const [name, command] of Object.entries(this.COMMANDS)) {
+            if (name !== lower && !command.aliases.includes(lower)) continue;
+            const args = command.parse(rest.join(' ').trim());
+            return args ? { name, command, args } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Run a matched command
+     * @param {Object} match - Result of match()
+     * @param {Object} context - { prefix } of the persona answering
+     * @returns {Promise<string>} Answer, with the chat's markdown formatting
+     */
+    static async execute(match, context = {}) {
+        console.log(`${MODULE_ID} | Command ${match.name}`, match.args);
+        return match.command.handler(match.args, context);
+    }
+
+    /**
+     * Build the list of commands from the registry (those the user may run),
+     * followed by the visibility overrides
+     * @param {string} prefix - Prefix of the persona answering
+     * @returns {string} Help text
+     */
+    static buildHelp(prefix) {
+        const categories = Object.keys(COMPENDIUM_CATEGORIES).join(', ');
+        let text = `${game.i18n.localize('RYOMA.Commands.HelpHeader')}\n`;
+
+        for (const [name, command] of Object.entries(this.COMMANDS)) {
+            if (command.capability && !Capabilities.can(command.capability)) continue;
+            const usage = command.usage ? ` ${game.i18n.localize(command.usage)}` : '';
+            text += `- \`${prefix} ${name}${usage}\`: ${game.i18n.format(command.description, { categories })}`;
+            if (command.aliases.length > 0) {
+                text += ` (${game.i18n.format('RYOMA.Commands.Aliases', { aliases: command.aliases.join(', ') })})`;
+            }
+            text += '\n';
+        }
+
+        text += `\n${game.i18n.localize('RYOMA.Commands.VisibilityHeader')}\n`;
+        for (const [word, mode] of Object.entries(ChatVisibility.OVERRIDES)) {
+            text += `- \`${prefix}/${word} …\`: ${ChatVisibility.getLabel(mode)}\n`;
+        }
+
+        text += `\n${game.i18n.format('RYOMA.Commands.HelpFooter', { prefix })}`;
+        return text;
+    }
+
+    /**
+     * Resolve a difficulty word
+     * @param {string} word - Word typed by the user
+     * @returns {string|null} Difficulty key
+     */
+    static resolveDifficulty(word) {
+        const lower = word.toLowerCase();
+        return Object.keys(this.DIFFICULTIES).find(key => this.DIFFICULTIES[key].includes(lower)) || null;
+    }
+
+    /**
+     * Resolve a compendium category from its key or a word of its name
+     * ("incantesimi", "spells", "mostri"...)
+     * @param {string} word - Word typed by the user
+     * @returns {string|null} Category key
+     */
+    static resolveCategory(word) {
+        const lower = word?.toLowerCase();
+        if (!lower) return null;
+
+        for (const [key, category] of Object.entries(COMPENDIUM_CATEGORIES)) {
+            if (key === lower) return key;
+            const names = `${getCategoryName(key)} ${category.name}`.toLowerCase();
+            if (names.split(/[^\p{L}]+/u).includes(lower)) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Format an encounter budget
+     * @param {Object} budget - Result of PartyAnalyzer.calculateEncounterBudget
+     * @returns {string} Answer
+     */
+    static formatBudget(budget) {
+        if (budget.error) return game.i18n.localize('RYOMA.PartySummary.Empty');
+
+        return game.i18n.format('RYOMA.Commands.BudgetResult', {
+            difficulty: game.i18n.localize(`RYOMA.Commands.Difficulty.${budget.difficulty}`),
+            count: budget.partySize,
+            level: budget.averageLevel,
+            xp: budget.xpBudget.toLocaleString(getLocale())
+        });
+    }
+
+    /**
+     * Format the conversation statistics
+     * @param {Object} stats - Result of ConversationManager.getStats
+     * @returns {string} Answer
+     */
+    static formatStats(stats) {
+        if (stats.totalMessages === 0) return game.i18n.localize('RYOMA.Commands.HistoryEmpty');
+
+        const formatDate = (date) => new Date(date).toLocaleString(getLocale());
+        return game.i18n.format('RYOMA.Commands.HistoryResult', {
+            total: stats.totalMessages,
+            user: stats.userMessages,
+            assistant: stats.assistantMessages,
+            actions: stats.actionsPerformed,
+            first: formatDate(stats.firstMessageDate),
+            last: formatDate(stats.lastMessageDate)
+        });
+    }
+}
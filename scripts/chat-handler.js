@@ -3,20 +3,37 @@
  * Chat Handler - Intercepts and processes !R commands
  */
 
-import { MODULE_ID, CHAT_PREFIX, hasApiKey, getSetting, getModelDisplayName } from './config.js';
+import { MODULE_ID, hasApiKey, getSetting, getModelDisplayName, getCategoryName } from './config.js';
 import { LLMClient } from './llm-client.js';
 import { ConversationManager } from './conversation-manager.js';
 import { PartyAnalyzer } from './party-analyzer.js';
 import { CompendiumBrowser } from './compendium-browser.js';
 import { ActorManager } from './actor-manager.js';
 import { ItemManager } from './item-manager.js';
+import { IntentRouter } from './intent-router.js';
+import { PersonaRegistry } from './persona-registry.js';
+import { ImageInput } from './image-input.js';
+import { RequestQueue } from './request-queue.js';
+import { PendingActions } from './pending-actions.js';
+import { CreationValidator } from './creation-schema.js';
+import { ActionEditorApp } from './action-editor.js';
+import { ChatCommands } from './chat-commands.js';
+import { ChatVisibility } from './chat-visibility.js';
+import { Capabilities } from './capabilities.js';
+import { MarkdownRenderer } from './markdown-renderer.js';
+import { ContentLinker } from './content-linker.js';
+import { UndoHistory } from './undo-history.js';
 
 /**
  * Handles chat message interception and LLM communication
  */
 export class ChatHandler {
-    static isProcessing = false;
-    static pendingConfirmation = null;
+    static requests = new Map(); // Local requests, queued or in progress: id -> { controller, persona }
+    static STREAM_UPDATE_INTERVAL = 400; // ms between chat message updates while streaming
+    static STOP_COMMANDS = ['stop', 'ferma', 'interrompi', 'abort'];
+    static CONFIRM_WORDS = ['conferma', 'sì', 'si', 'ok', 'confirm', 'yes']; // Accepted in every language
+    static CANCEL_WORDS = ['annulla', 'no', 'cancella', 'cancel'];
+    static UNDO_COMMANDS = ['annulla-ultima', 'undo'];
 
     /**
      * Initialize the chat handler
@@ -25,6 +42,15 @@ export class ChatHandler {
         // Hook into chat message creation
         Hooks.on('chatMessage', this.onChatMessage.bind(this));
 
+        // Wire the cancel button of the thinking card and the buttons of action cards
+        Hooks.on('renderChatMessageHTML', this.onRenderChatMessage.bind(this));
+
+        // Images dropped on the chat go with the next request
+        ImageInput.init();
+
+        // Requests of every user wait their turn in a shared queue
+        RequestQueue.init();
+
         console.log(`${MODULE_ID} | Chat handler initialized`);
     }
 
@@ -36,32 +62,52 @@ export class ChatHandler {
      * @returns {boolean} Whether to prevent default handling
      */
     static onChatMessage(chatLog, content, chatData) {
-        // Check if message starts with our prefix
-        const trimmed = content.trim();
-        if (!trimmed.startsWith(CHAT_PREFIX)) {
+        // Check if message starts with a persona prefix (!R for Ryoma)
+        const match = PersonaRegistry.matchPrefix(content);
+        if (!match) {
             return true; // Let normal processing continue
         }
 
         // Extract the actual message
-        const message = trimmed.substring(CHAT_PREFIX.length).trim();
+        const { persona, message } = match;
+        const whisper = ChatVisibility.getWhisper(ChatVisibility.getMode(match.visibility));
+
+        // Stop this user's requests, in progress or queued
+        if (this.STOP_COMMANDS.includes(message.toLowerCase())) {
+            this.cancelRequest(null, whisper);
+            return false;
+        }
 
-        // Check for confirmation commands first
-        if (this.pendingConfirmation) {
+        // Undo this user's latest executed action
+        if (this.UNDO_COMMANDS.includes(message.toLowerCase())) {
+            this.undoAction();
+            return false;
+        }
+
+        // Check for confirmation commands first (they answer this user's latest proposal)
+        if (PendingActions.getLatest()) {
             const lower = message.toLowerCase();
-            if (lower === 'conferma' || lower === 'sì' || lower === 'si' || lower === 'ok') {
+            if (this.CONFIRM_WORDS.includes(lower)) {
                 this.handleConfirmation(true);
                 return false;
             }
-            if (lower === 'annulla' || lower === 'no' || lower === 'cancella') {
+            if (this.CANCEL_WORDS.includes(lower)) {
                 this.handleConfirmation(false);
                 return false;
             }
         }
 
+        // Subcommands answered from the world data, without calling the model
+        const command = ChatCommands.match(message);
+        if (command) {
+            this.runCommand(command, message, { persona, whisper });
+            return false;
+        }
+
         // Process asynchronously
-        this.processMessage(message).catch(error => {
+        this.processMessage(message, { persona, whisper }).catch(error => {
             console.error(`${MODULE_ID} | Error processing message:`, error);
-            this.sendErrorMessage(error.message);
+            this.sendErrorMessage(error.message, persona, whisper);
         });
 
         // Prevent default chat handling
@@ -71,13 +117,17 @@ export class ChatHandler {
     /**
      * Process a user message
      * @param {string} message - User message
+     * @param {Object} options - Options (persona answering, defaults to the world's persona; whisper recipients, defaults to the visibility setting)
      */
-    static async processMessage(message) {
+    static async processMessage(message, options = {}) {
+        const persona = options.persona || PersonaRegistry.getDefault();
+        const whisper = options.whisper ?? ChatVisibility.getWhisper();
+
         // Check permissions
         if (!this.checkPermissions()) {
             this.sendChatMessage(
                 game.i18n.localize('RYOMA.Chat.NoPermission'),
-                { isError: true }
+                { isError: true, whisper }
             );
             return;
         }
@@ -86,72 +136,376 @@ export class ChatHandler {
         if (!hasApiKey()) {
             this.sendChatMessage(
                 game.i18n.localize('RYOMA.Chat.NoApiKey'),
-                { isError: true }
+                { isError: true, whisper }
             );
             return;
         }
 
-        // Prevent concurrent processing
-        if (this.isProcessing) {
-            this.sendChatMessage('Ryoma sta ancora elaborando la richiesta precedente...', { isError: true });
-            return;
-        }
-
-        this.isProcessing = true;
+        const controller = new AbortController();
+        const requestId = foundry.utils.randomID();
+        this.requests.set(requestId, { controller, persona });
+        let thinkingMsgId = null;
+        let turnId = null;
 
         try {
+            // Picture for vision models: a dropped image or the selected token
+            const image = ImageInput.resolve(message);
+
             // Show user message in chat
-            await this.sendUserMessage(message);
+            await this.sendUserMessage(message, { image, whisper });
 
             // Show thinking indicator
-            const thinkingMsgId = await this.showThinking();
+            thinkingMsgId = await this.showThinking(persona, requestId, whisper);
+
+            // Wait for our turn: other users' requests and our own earlier ones go first
+            let queued = false;
+            turnId = await RequestQueue.acquire({
+                signal: controller.signal,
+                onWait: (position, ahead) => {
+                    queued = true;
+                    this.setThinkingLabel(thinkingMsgId, this.formatQueueStatus(position, ahead));
+                }
+            });
+            if (queued) await this.setThinkingLabel(thinkingMsgId, game.i18n.localize('RYOMA.Chat.Thinking'));
+
+            // Classify the request to pick model and context
+            const intent = await IntentRouter.classify(message);
+            console.log(`${MODULE_ID} | Intent: ${intent.intent} (${intent.source}, ${intent.confidence})`);
+
+            // The role may not be allowed this kind of request (e.g. players creating monsters)
+            if (!this.checkPermissions(intent.intent)) {
+                this.removeThinking(thinkingMsgId);
+                thinkingMsgId = null;
+                this.sendNotAllowed(intent.intent, { persona, whisper });
+                return;
+            }
 
             // Build context
-            const context = await this.buildContext();
+            const context = await this.buildContext(intent.route);
 
-            // Save user message to history
-            await ConversationManager.saveUserMessage(message);
+            const imageInput = image ? await ImageInput.prepare(image) : null;
 
-            // Process with LLM
-            const response = await LLMClient.processMessage(message, context);
+            // Save user message to history (the picture itself is not stored)
+            await ConversationManager.saveUserMessage(message, { intent: intent.intent, persona: persona.id, image: image?.name });
 
-            // Remove thinking indicator
-            this.removeThinking(thinkingMsgId);
+            // Process with LLM, streaming into the thinking card if enabled
+            const stream = getSetting('streamResponses');
+            const renderer = stream ? this.createStreamRenderer(thinkingMsgId) : null;
+            const response = await LLMClient.processMessage(message, context, {
+                intent,
+                persona,
+                image: imageInput,
+                signal: controller.signal,
+                onDelta: renderer?.onDelta,
+                onToolCall: (name, label) => this.updateThinkingStatus(thinkingMsgId, label),
+                onRepair: () => this.updateThinkingStatus(thinkingMsgId, game.i18n.localize('RYOMA.Chat.Repairing'))
+            });
 
-            // Handle response
-            await this.handleResponse(response, message);
+            if (renderer) {
+                // The streamed card becomes the final response
+                await renderer.flush();
+                await this.handleResponse(response, message, { messageId: thinkingMsgId, persona, image, whisper });
+            } else {
+                this.removeThinking(thinkingMsgId);
+                await this.handleResponse(response, message, { persona, image, whisper });
+            }
+            thinkingMsgId = null;
 
         } catch (error) {
-            console.error(`${MODULE_ID} | Error:`, error);
-            this.sendErrorMessage(error.message);
+            if (thinkingMsgId) this.removeThinking(thinkingMsgId);
+            if (error.cancelled) {
+                await this.handleCancellation(persona, whisper);
+            } else {
+                console.error(`${MODULE_ID} | Error:`, error);
+                this.sendErrorMessage(error.message, persona, whisper);
+            }
         } finally {
-            this.isProcessing = false;
+            RequestQueue.release(turnId);
+            this.requests.delete(requestId);
         }
     }
 
     /**
-     * Check if current user has permission
+     * Answer a subcommand (no API key, queue or history involved)
+     * @param {Object} command - Command matched by ChatCommands.match
+     * @param {string} message - User message
+     * @param {Object} options - Options (persona answering, whisper recipients)
+     */
+    static async runCommand(command, message, options = {}) {
+        const { persona, whisper } = options;
+        if (!this.checkPermissions()) {
+            this.sendChatMessage(
+                game.i18n.localize('RYOMA.Chat.NoPermission'),
+                { isError: true, whisper }
+            );
+            return;
+        }
+        if (command.command.capability && !this.checkPermissions(command.command.capability)) {
+            this.sendNotAllowed(command.command.capability, { persona, whisper });
+            return;
+        }
+
+        try {
+            await this.sendUserMessage(message, { whisper });
+            let content = await ChatCommands.execute(command, { prefix: persona.prefix });
+            if (command.command.link) content = await ContentLinker.link(content);
+            await this.sendAssistantMessage(content, { persona, whisper, command: command.name });
+        } catch (error) {
+            console.error(`${MODULE_ID} | Command ${command.name} failed:`, error);
+            this.sendErrorMessage(error.message, persona, whisper);
+        }
+    }
+
+    /**
+     * Tell the user their role may not make this kind of request
+     * @param {string} capability - Capability that is missing
+     * @param {Object} options - Options (persona answering, whisper recipients)
+     */
+    static sendNotAllowed(capability, options = {}) {
+        this.sendChatMessage(
+            game.i18n.format('RYOMA.Chat.NotAllowed', { capability: Capabilities.getLabel(capability) }),
+            { isError: true, ...options }
+        );
+    }
+
+    /**
+     * Tell the user that a proposal belongs to someone else
+     * @param {Object} action - Pending action
+     */
+    static sendActionNotOwned(action) {
+        const owner = game.users.get(action.userId)?.name ?? '?';
+        this.sendChatMessage(
+            game.i18n.format('RYOMA.Actions.NotOwner', { user: owner }),
+            { isError: true, whisper: ChatVisibility.getWhisper('self') }
+        );
+    }
+
+    /**
+     * Describe a request's place in the queue for the thinking card
+     * @param {number} position - Position among the waiting requests (1 = next)
+     * @param {Array<string>} ahead - Names of the users served before this request
+     * @returns {string} Status text
+     */
+    static formatQueueStatus(position, ahead) {
+        const status = game.i18n.format('RYOMA.Queue.Waiting', { position });
+        return ahead.length > 0
+            ? `${status} · ${game.i18n.format('RYOMA.Queue.Ahead', { users: foundry.utils.escapeHTML(ahead.join(', ')) })}`
+            : status;
+    }
+
+    /**
+     * Abort local requests, in progress or queued
+     * @param {string|null} requestId - Request to stop, or null for all of this user's requests
+     * @param {Array<string>|null} whisper - Recipients of the notice when nothing is running
+     * @returns {boolean} Whether there was a request to cancel
+     */
+    static cancelRequest(requestId = null, whisper = null) {
+        const requests = requestId
+            ? [this.requests.get(requestId)].filter(Boolean)
+            : [...this.requests.values()];
+        if (requests.length === 0) {
+            this.sendChatMessage(game.i18n.localize('RYOMA.Chat.NothingToCancel'), { whisper });
+            return false;
+        }
+
+        for (const request of requests) {
+            if (request.controller.signal.aborted) continue;
+            console.log(`${MODULE_ID} | Cancelling request`);
+            request.controller.abort();
+        }
+        return true;
+    }
+
+    /**
+     * Report a cancelled request and record it in the history
+     * @param {Object} persona - Persona that was answering
+     * @param {Array<string>|null} whisper - Recipients of the request
+     */
+    static async handleCancellation(persona, whisper = null) {
+        this.sendChatMessage(game.i18n.localize('RYOMA.Chat.Cancelled'), { persona, whisper });
+        await ConversationManager.saveCancellation({ persona: persona.id });
+    }
+
+    /**
+     * Bind the cancel button of the thinking card, the buttons of action cards and the undo button of success cards
+     * @param {ChatMessage} message - Rendered message
+     * @param {HTMLElement} html - Message element
+     */
+    static onRenderChatMessage(message, html) {
+        const actionId = message.getFlag(MODULE_ID, 'actionId');
+        if (actionId) this.bindActionCard(html, actionId);
+
+        const undoId = message.getFlag(MODULE_ID, 'undoId');
+        if (undoId) this.bindUndoButton(message, html, undoId);
+
+        const button = html.querySelector('[data-action="ryoma-cancel"]');
+        if (!button) return;
+
+        // Only the user who sent the request can stop it
+        if (message.author?.id !== game.user.id) {
+            button.remove();
+            return;
+        }
+
+        button.addEventListener('click', event => {
+            event.preventDefault();
+            button.disabled = true;
+            this.cancelRequest(message.getFlag(MODULE_ID, 'requestId') ?? null);
+        });
+    }
+
+    /**
+     * Bind the Confirm/Edit/Cancel buttons of an action card
+     * @param {HTMLElement} html - Message element
+     * @param {string} actionId - Pending action id
+     */
+    static bindActionCard(html, actionId) {
+        const buttons = html.querySelector('.rioma-confirmation-dialog .dialog-buttons');
+        if (!buttons) return;
+
+        // Already handled (or dropped), someone else's, or the user cannot act on this kind of proposal
+        const action = PendingActions.get(actionId);
+        if (!action || !PendingActions.canHandle(action) || !this.checkPermissions(Capabilities.forAction(action.type))) {
+            buttons.remove();
+            return;
+        }
+
+        buttons.addEventListener('click', event => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            event.preventDefault();
+
+            switch (button.dataset.action) {
+                case 'ryoma-action-confirm':
+                case 'ryoma-action-cancel':
+                    buttons.querySelectorAll('button').forEach(b => b.disabled = true);
+                    this.handleConfirmation(button.dataset.action === 'ryoma-action-confirm', actionId);
+                    break;
+                case 'ryoma-action-edit':
+                    this.editAction(actionId);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Bind the undo button of a success card
+     * @param {ChatMessage} message - Rendered message
+     * @param {HTMLElement} html - Message element
+     * @param {string} undoId - Undo history entry
+     */
+    static bindUndoButton(message, html, undoId) {
+        const container = html.querySelector('.rioma-undo');
+        if (!container) return;
+
+        if (message.getFlag(MODULE_ID, 'undone')) {
+            container.innerHTML = `<span class="rioma-undo-status">${game.i18n.localize('RYOMA.Undo.Undone')}</span>`;
+            return;
+        }
+
+        // Already undone, dropped from the history, someone else's, or the user cannot act on this kind of action
+        const entry = UndoHistory.get(undoId);
+        if (!entry || !UndoHistory.canUndo(entry) || !this.checkPermissions(Capabilities.forAction(entry.type))) {
+            container.remove();
+            return;
+        }
+
+        const button = container.querySelector('[data-action="ryoma-undo"]');
+        button?.addEventListener('click', event => {
+            event.preventDefault();
+            button.disabled = true;
+            this.undoAction(undoId);
+        });
+    }
+
+    /**
+     * Create a throttled renderer that writes streamed text into a chat message
+     * @param {string} messageId - Message to update
+     * @returns {{onDelta: Function, flush: Function}}
+     */
+    static createStreamRenderer(messageId) {
+        let lastUpdate = 0;
+        let latest = '';
+        let pending = null;
+
+        const render = async () => {
+            lastUpdate = Date.now();
+            await this.updateStreamingMessage(messageId, latest);
+        };
+
+        return {
+            onDelta: (delta, fullText) => {
+                latest = fullText;
+                if (pending || Date.now() - lastUpdate < this.STREAM_UPDATE_INTERVAL) return;
+                pending = render().finally(() => { pending = null; });
+            },
+            flush: async () => {
+                if (pending) await pending;
+            }
+        };
+    }
+
+    /**
+     * Update a message with partial streamed content
+     * @param {string} messageId - Message ID
+     * @param {string} text - Text received so far
+     */
+    static async updateStreamingMessage(messageId, text) {
+        const message = game.messages.get(messageId);
+        if (!message) return;
+
+        // Hide the creation block while it is still being written
+        const markerIndex = text.indexOf('---RYOMA_CREATE_START---');
+        let visible = markerIndex >= 0 ? text.substring(0, markerIndex).trim() : text;
+        if (markerIndex >= 0) {
+            visible += `\n\n*${game.i18n.localize('RYOMA.Chat.PreparingCreation')}*`;
+        }
+
+        await message.update({
+            content: this.buildAssistantHtml(visible, {
+                streaming: true,
+                persona: PersonaRegistry.get(message.getFlag(MODULE_ID, 'personaId'))
+            })
+        });
+    }
+
+    /**
+     * Check if current user has permission, according to the capability matrix
+     * @param {string|null} capability - Kind of request, or null for talking to Ryoma at all
      * @returns {boolean}
      */
-    static checkPermissions() {
-        return game.user.isGM || game.user.role >= CONST.USER_ROLES.ASSISTANT;
+    static checkPermissions(capability = null) {
+        return Capabilities.can(capability);
     }
 
     /**
-     * Build context for LLM
+     * Build context for LLM (players get no GM-only data)
+     * @param {Object} route - Intent route deciding which sections are needed
      * @returns {Promise<Object>}
      */
-    static async buildContext() {
-        // Get conversation history
-        const history = await ConversationManager.getContextHistory(20);
+    static async buildContext(route = IntentRouter.getRoute('create')) {
+        const gmContext = Capabilities.hasGMContext();
+
+        // Get conversation history (trimmed to the token budget by the LLM client); players see only their own
+        const history = (await ConversationManager.getFullHistory(ConversationManager.MAX_HISTORY))
+            .filter(msg => gmContext || msg.metadata?.userId === game.user.id);
 
         // Get party info
-        const partyContext = await PartyAnalyzer.getContextForLLM();
+        const partyContext = route.party
+            ? await PartyAnalyzer.getContextForLLM({ stats: gmContext })
+            : { party: [], averageLevel: 0, partySize: 0, summary: '' };
 
         // Get configured compendiums
-        const compendiums = await CompendiumBrowser.getAllConfiguredCompendiums();
+        const compendiums = route.compendiums
+            ? await CompendiumBrowser.getAllConfiguredCompendiums()
+            : {};
+        if (!gmContext) {
+            // Keyed by category name
+            for (const category of Capabilities.HIDDEN_CATEGORIES) delete compendiums[getCategoryName(category)];
+        }
 
         return {
+            gmContext,
             history,
             party: partyContext.party,
             averageLevel: partyContext.averageLevel,
@@ -165,39 +519,77 @@ export class ChatHandler {
      * Handle LLM response
      * @param {Object} response - Parsed LLM response
      * @param {string} originalMessage - Original user message
+     * @param {Object} options - Options (messageId to finalize a streamed card, persona answering, image and whisper recipients of the request)
      */
-    static async handleResponse(response, originalMessage) {
+    static async handleResponse(response, originalMessage, options = {}) {
+        const persona = options.persona || PersonaRegistry.getDefault();
+        const whisper = options.whisper ?? null;
+
+        // A creation the user may not carry out is not proposed
+        if (response.creationData && !this.checkPermissions(Capabilities.forAction(response.creationData.action))) {
+            console.warn(`${MODULE_ID} | Dropped a ${response.creationData.action} the user may not perform`);
+            response.creationData = null;
+        }
+
         // Check for creation data
         if (response.creationData) {
-            // Store pending confirmation
-            this.pendingConfirmation = {
-                type: response.creationData.action,
-                data: response.creationData.data,
-                originalMessage
-            };
+            this.applyImage(response.creationData, options.image);
 
             // Show the response with confirmation prompt
-            let content = response.content;
-            content += `\n\n*Rispondi con \`!R conferma\` per procedere o \`!R annulla\` per annullare.*`;
+            let content = await ContentLinker.link(response.content);
+            content += `\n\n*${game.i18n.format('RYOMA.Chat.ConfirmHint', { prefix: persona.prefix })}*`;
 
             await this.sendAssistantMessage(content, {
                 model: response.modelDisplayName,
-                hasConfirmation: true
+                fallbackFrom: response.fallbackFromDisplayName,
+                budgetDowngraded: response.budgetDowngraded,
+                hasConfirmation: true,
+                messageId: options.messageId,
+                persona,
+                whisper
             });
 
+            // Each proposal gets its own card and waits until confirmed or cancelled
+            const action = await PendingActions.add({
+                type: response.creationData.action,
+                data: response.creationData.data,
+                originalMessage,
+                personaId: persona.id,
+                whisper
+            });
+            if (!action) {
+                this.sendErrorMessage(game.i18n.localize('RYOMA.Actions.NotStored'), persona, whisper);
+                return;
+            }
+            await this.sendActionCard(action);
+
             await ConversationManager.saveAssistantMessage(response.content, {
                 model: response.modelUsed,
-                pendingAction: response.creationData.action
+                persona: persona.id,
+                pendingAction: response.creationData.action,
+                actionId: action.id
             });
         } else {
-            // Regular text response
-            await this.sendAssistantMessage(response.content, {
-                model: response.modelDisplayName
+            // Regular text response, with a note if a creation block could not be repaired
+            if (response.validationErrors?.length) {
+                response.content += `\n\n⚠️ ${game.i18n.localize('RYOMA.Validation.Failed')}\n`
+                    + response.validationErrors.map(e => `- ${e}`).join('\n');
+            }
+
+            // Names of compendium entries and world documents become links (the history keeps the plain text)
+            await this.sendAssistantMessage(await ContentLinker.link(response.content), {
+                model: response.modelDisplayName,
+                fallbackFrom: response.fallbackFromDisplayName,
+                budgetDowngraded: response.budgetDowngraded,
+                messageId: options.messageId,
+                persona,
+                whisper
             });
 
             // Save to history
             await ConversationManager.saveAssistantMessage(response.content, {
-                model: response.modelUsed
+                model: response.modelUsed,
+                persona: persona.id
             });
         }
     }
@@ -205,20 +597,34 @@ export class ChatHandler {
     /**
      * Handle confirmation response
      * @param {boolean} confirmed - Whether user confirmed
+     * @param {string|null} actionId - Action to confirm or cancel (defaults to the user's latest proposal)
      */
-    static async handleConfirmation(confirmed) {
-        if (!this.pendingConfirmation) {
-            await this.sendAssistantMessage('Non c\'è nessuna operazione in sospeso.');
+    static async handleConfirmation(confirmed, actionId = null) {
+        const id = actionId ?? PendingActions.getLatest()?.id;
+        const action = id ? PendingActions.get(id) : null;
+        if (action && !this.checkPermissions(Capabilities.forAction(action.type))) {
+            this.sendNotAllowed(Capabilities.forAction(action.type), { whisper: action.whisper });
+            return;
+        }
+        if (action && !PendingActions.canHandle(action)) {
+            this.sendActionNotOwned(action);
+            return;
+        }
+
+        const pending = id ? await PendingActions.take(id) : null;
+        if (!pending) {
+            await this.sendAssistantMessage(game.i18n.localize('RYOMA.Actions.NothingPending'));
             return;
         }
 
-        const pending = this.pendingConfirmation;
-        this.pendingConfirmation = null;
+        const persona = PersonaRegistry.get(pending.personaId);
 
         if (!confirmed) {
-            await this.sendAssistantMessage(game.i18n.localize('RYOMA.Actions.Cancelled'));
-            await ConversationManager.saveAssistantMessage('Operazione annullata dall\'utente.', {
+            await this.updateActionCard(pending, 'cancelled');
+            await this.sendAssistantMessage(game.i18n.localize('RYOMA.Actions.Cancelled'), { persona, whisper: pending.whisper });
+            await ConversationManager.saveAssistantMessage(game.i18n.localize('RYOMA.History.ActionCancelled'), {
                 action: pending.type,
+                actionId: pending.id,
                 actionData: { status: 'cancelled' }
             });
             return;
@@ -227,16 +633,18 @@ export class ChatHandler {
         try {
             let result;
             let successMessage;
+            let snapshot = null; // Actor as it was before a modification
 
             switch (pending.type) {
                 case 'create_actor':
                     result = await ActorManager.createActor(pending.data);
-                    successMessage = `✅ Ho creato l'Actor **${result.name}**! Puoi trovarlo nella lista degli Actors.`;
+                    successMessage = `✅ ${game.i18n.format('RYOMA.Actions.ActorCreated', { name: result.name })}`;
                     break;
 
                 case 'modify_actor':
+                    snapshot = await UndoHistory.snapshot(pending.data.uuid);
                     result = await ActorManager.modifyActor(pending.data.uuid, pending.data.changes);
-                    successMessage = `✅ Ho modificato l'Actor **${result.name}**.`;
+                    successMessage = `✅ ${game.i18n.format('RYOMA.Actions.ActorModified', { name: result.name })}`;
                     break;
 
                 case 'create_item':
@@ -245,19 +653,34 @@ export class ChatHandler {
                         : null;
                     result = await ItemManager.createItem(pending.data, targetActor);
                     if (targetActor) {
-                        successMessage = `✅ Ho creato l'oggetto **${result.name}** e l'ho aggiunto a ${targetActor.name}.`;
+                        successMessage = `✅ ${game.i18n.format('RYOMA.Actions.ItemCreatedOn', { name: result.name, actor: targetActor.name })}`;
                     } else {
-                        successMessage = `✅ Ho creato l'oggetto **${result.name}**! Puoi trovarlo nella lista degli Items.`;
+                        successMessage = `✅ ${game.i18n.format('RYOMA.Actions.ItemCreated', { name: result.name })}`;
                     }
                     break;
 
                 default:
-                    throw new Error(`Azione non riconosciuta: ${pending.type}`);
+                    throw new Error(game.i18n.format('RYOMA.Actions.Unknown', { action: pending.type }));
             }
 
-            await this.sendAssistantMessage(successMessage);
+            await this.updateActionCard(pending, 'confirmed');
+
+            // What the action changed, for the undo button and !R annulla-ultima
+            const undo = await UndoHistory.record({
+                actionId: pending.id,
+                type: pending.type,
+                name: result.name,
+                created: pending.type === 'modify_actor' ? [] : [result.uuid],
+                snapshot,
+                personaId: persona.id,
+                whisper: pending.whisper
+            });
+
+            const message = await this.sendAssistantMessage(successMessage, { persona, whisper: pending.whisper, undoId: undo?.id });
+            if (undo && message) await UndoHistory.update(undo.id, { messageId: message.id });
             await ConversationManager.saveAssistantMessage(successMessage, {
                 action: pending.type,
+                actionId: pending.id,
                 actionData: {
                     status: 'completed',
                     name: result.name,
@@ -267,127 +690,467 @@ export class ChatHandler {
 
         } catch (error) {
             console.error(`${MODULE_ID} | Creation error:`, error);
-            this.sendErrorMessage(`Errore durante la creazione: ${error.message}`);
+            // Keep the proposal, so it can be edited and confirmed again
+            await PendingActions.restore(pending);
+            await this.updateActionCard(pending);
+            this.sendErrorMessage(game.i18n.format('RYOMA.Actions.Failed', { error: error.message }), persona, pending.whisper);
+        }
+    }
+
+    /**
+     * Undo an executed action: delete what it created or restore the actor it modified
+     * @param {string|null} undoId - Undo history entry (defaults to the user's latest action)
+     */
+    static async undoAction(undoId = null) {
+        const id = undoId ?? UndoHistory.getLatest()?.id;
+        const entry = id ? UndoHistory.get(id) : null;
+        if (entry && !this.checkPermissions(Capabilities.forAction(entry.type))) {
+            this.sendNotAllowed(Capabilities.forAction(entry.type), { whisper: entry.whisper });
+            return;
+        }
+        if (entry && !UndoHistory.canUndo(entry)) {
+            const owner = game.users.get(entry.userId)?.name ?? '?';
+            this.sendChatMessage(
+                game.i18n.format('RYOMA.Undo.NotOwner', { user: owner }),
+                { isError: true, whisper: ChatVisibility.getWhisper('self') }
+            );
+            return;
+        }
+
+        const taken = id ? await UndoHistory.take(id) : null;
+        if (!taken) {
+            await this.sendAssistantMessage(game.i18n.localize('RYOMA.Undo.Nothing'));
+            return;
+        }
+
+        const persona = PersonaRegistry.get(taken.personaId);
+
+        try {
+            await UndoHistory.undo(taken);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Undo error:`, error);
+            // Keep the entry, so the undo can be tried again
+            await UndoHistory.restore(taken);
+            this.sendErrorMessage(game.i18n.format('RYOMA.Undo.Failed', { error: error.message }), persona, taken.whisper);
+            return;
+        }
+
+        await this.markUndone(taken);
+        const key = { create_actor: 'ActorDeleted', create_item: 'ItemDeleted', modify_actor: 'ActorRestored' }[taken.type];
+        const undoneMessage = `↩️ ${game.i18n.format(`RYOMA.Undo.${key}`, { name: taken.name })}`;
+        await this.sendAssistantMessage(undoneMessage, { persona, whisper: taken.whisper });
+        await ConversationManager.saveAssistantMessage(undoneMessage, {
+            action: taken.type,
+            actionId: taken.actionId,
+            actionData: { status: 'undone', name: taken.name }
+        });
+    }
+
+    /**
+     * Show on the success card of an action that it was undone
+     * @param {Object} entry - Undo history entry
+     */
+    static async markUndone(entry) {
+        const message = game.messages.get(entry.messageId);
+        if (!message) return;
+        try {
+            await message.setFlag(MODULE_ID, 'undone', true);
+        } catch (error) {
+            // Users can only update their own messages
+            console.warn(`${MODULE_ID} | Could not update the success card:`, error.message);
+        }
+    }
+
+    /**
+     * Edit a pending action: creations in the preview form, modifications as JSON
+     * @param {string} actionId - Pending action id
+     */
+    static editAction(actionId) {
+        const action = PendingActions.get(actionId);
+        if (!action) return;
+        if (!PendingActions.canHandle(action)) {
+            this.sendActionNotOwned(action);
+            return;
+        }
+
+        if (ActionEditorApp.supports(action.type)) {
+            new ActionEditorApp(action).render(true);
+        } else {
+            this.editActionJson(actionId);
+        }
+    }
+
+    /**
+     * Edit the payload of a pending action as JSON
+     * @param {string} actionId - Pending action id
+     */
+    static async editActionJson(actionId) {
+        const action = PendingActions.get(actionId);
+        if (!action) return;
+
+        const json = await Dialog.prompt({
+            title: game.i18n.localize('RYOMA.Confirmation.EditTitle'),
+            content: `<textarea name="payload" class="rioma-action-json" rows="20">${foundry.utils.escapeHTML(JSON.stringify(action.data, null, 2))}</textarea>`,
+            label: game.i18n.localize('RYOMA.Confirmation.Save'),
+            callback: html => html.find('[name="payload"]').val(),
+            rejectClose: false,
+            options: { width: 520 }
+        });
+        if (json === null || json === undefined) return;
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            ui.notifications.error(game.i18n.format('RYOMA.Validation.InvalidJson', { error: error.message }));
+            return;
+        }
+
+        await this.saveActionEdit(actionId, data);
+    }
+
+    /**
+     * Validate and store the edited payload of a pending action, then redraw its card
+     * @param {string} actionId - Pending action id
+     * @param {Object} data - Edited payload
+     * @returns {Promise<boolean>} Whether the edit was saved
+     */
+    static async saveActionEdit(actionId, data) {
+        const action = PendingActions.get(actionId);
+        if (!action) {
+            ui.notifications.warn(game.i18n.localize('RYOMA.Actions.NothingPending'));
+            return false;
+        }
+        if (!PendingActions.canHandle(action)) {
+            this.sendActionNotOwned(action);
+            return false;
+        }
+
+        const block = { action: action.type, data };
+        const errors = CreationValidator.validate(block);
+        if (errors.length > 0) {
+            ui.notifications.error(`${game.i18n.localize('RYOMA.Confirmation.EditInvalid')} ${errors.join('; ')}`);
+            return false;
+        }
+
+        const updated = await PendingActions.update(actionId, { data: block.data });
+        if (updated) await this.updateActionCard(updated);
+        return !!updated;
+    }
+
+    /**
+     * Build the recap of a proposed action
+     * @param {Object} action - Pending action
+     * @returns {Object} Recap for the action card
+     */
+    static buildRecap(action) {
+        switch (action.type) {
+            case 'create_actor': return ActorManager.buildCreationRecap(action.data);
+            case 'create_item': return ItemManager.buildCreationRecap(action.data);
+            case 'modify_actor': return ActorManager.buildModificationRecap(action.data);
+            default: return null;
+        }
+    }
+
+    /**
+     * Build the HTML of an action card
+     * @param {Object} action - Pending action
+     * @param {string|null} status - 'confirmed' or 'cancelled' once handled, null while pending
+     * @returns {Promise<string>} HTML
+     */
+    static async buildActionCard(action, status = null) {
+        const persona = PersonaRegistry.get(action.personaId);
+        return renderTemplate(`modules/${MODULE_ID}/templates/confirmation-dialog.hbs`, {
+            actionId: action.id,
+            personaName: persona.name,
+            avatar: persona.avatar,
+            isModify: action.type === 'modify_actor',
+            recap: this.buildRecap(action),
+            status,
+            statusLabel: status ? game.i18n.localize(`RYOMA.Confirmation.Status.${status}`) : ''
+        });
+    }
+
+    /**
+     * Post the card of a new proposal
+     * @param {Object} action - Pending action
+     */
+    static async sendActionCard(action) {
+        const persona = PersonaRegistry.get(action.personaId);
+        const message = await ChatMessage.create(ChatVisibility.apply({
+            content: await this.buildActionCard(action),
+            speaker: { alias: persona.name },
+            type: CONST.CHAT_MESSAGE_TYPES.OOC,
+            flags: { [MODULE_ID]: { isRyomaMessage: true, actionId: action.id, personaId: persona.id } }
+        }, action.whisper));
+        await PendingActions.update(action.id, { messageId: message.id });
+    }
+
+    /**
+     * Redraw the card of an action (after an edit, or to show how it was handled)
+     * @param {Object} action - Action
+     * @param {string|null} status - 'confirmed', 'cancelled' or null while pending
+     */
+    static async updateActionCard(action, status = null) {
+        const message = game.messages.get(action.messageId);
+        if (!message) return;
+        try {
+            await message.update({ content: await this.buildActionCard(action, status) });
+        } catch (error) {
+            // Users can only update their own messages
+            console.warn(`${MODULE_ID} | Could not update the action card:`, error.message);
+        }
+    }
+
+    /**
+     * Use the picture of the request as portrait and token of a creation
+     * (only Foundry files and web URLs: a dropped file has no path to reference)
+     * @param {Object} creationData - { action, data }
+     * @param {Object|null} image - { src, path, name }
+     */
+    static applyImage(creationData, image) {
+        if (!image?.path || creationData.data.img) return;
+
+        if (creationData.action === 'create_actor') {
+            creationData.data.img = image.path;
+            creationData.data.tokenImg = image.path;
+        } else if (creationData.action === 'create_item') {
+            creationData.data.img = image.path;
         }
     }
 
     /**
      * Send user message to chat
      * @param {string} content - Message content
+     * @param {Object} options - Options (image attached to the request, whisper recipients)
      */
-    static async sendUserMessage(content) {
+    static async sendUserMessage(content, options = {}) {
+        const image = options.image;
+        let attachment = '';
+        if (image) {
+            const name = foundry.utils.escapeHTML(image.name);
+            // Data URLs of dropped files would bloat the chat log: show only their name
+            attachment = image.path
+                ? `<img class="rioma-attached-image" src="${foundry.utils.escapeHTML(image.path)}" alt="${name}" title="${name}">`
+                : `<span class="rioma-attached-image">📎 ${name}</span>`;
+        }
+
         const messageData = {
-            content: `<div class="rioma-user-message"><strong>${game.user.name}:</strong> ${content}</div>`,
+            // The request is shown as text: markup typed by the user is escaped
+            content: `<div class="rioma-user-message"><strong>${foundry.utils.escapeHTML(game.user.name)}:</strong> ${MarkdownRenderer.renderInline(content)}${attachment}</div>`,
             speaker: ChatMessage.getSpeaker({ user: game.user }),
             type: CONST.CHAT_MESSAGE_TYPES.OOC
         };
 
-        await ChatMessage.create(messageData);
+        await ChatMessage.create(ChatVisibility.apply(messageData, options.whisper));
     }
 
     /**
-     * Send Ryoma's message to chat
+     * Build the HTML of a Ryoma chat card
      * @param {string} content - Message content
-     * @param {Object} options - Additional options
+     * @param {Object} options - Options (model, streaming, persona)
+     * @returns {string} HTML
      */
-    static async sendAssistantMessage(content, options = {}) {
-        const modelInfo = options.model ? `<span class="rioma-model">${options.model}</span>` : '';
+    static buildAssistantHtml(content, options = {}) {
+        const persona = options.persona || PersonaRegistry.getDefault();
+        const model = options.model ? foundry.utils.escapeHTML(options.model) : null;
+        let modelInfo = '';
+        if (model && options.fallbackFrom) {
+            const title = foundry.utils.escapeHTML(game.i18n.format('RYOMA.Chat.Fallback', { model: options.fallbackFrom }));
+            modelInfo = `<span class="rioma-model rioma-fallback" title="${title}">↪ ${model}</span>`;
+        } else if (model && options.budgetDowngraded) {
+            const title = game.i18n.localize('RYOMA.Usage.BudgetDowngraded');
+            modelInfo = `<span class="rioma-model rioma-fallback" title="${title}">💰 ${model}</span>`;
+        } else if (model) {
+            modelInfo = `<span class="rioma-model">${model}</span>`;
+        }
+        const cursor = options.streaming ? '<span class="rioma-stream-cursor"></span>' : '';
+        const cancel = options.streaming ? this.buildCancelButton() : '';
+        const undo = options.undoId ? this.buildUndoButton() : '';
 
-        const html = `
+        return `
       <div class="rioma-chat-message">
         <div class="rioma-header">
-          <div class="rioma-avatar"><img src="modules/fuorid20-ryoma-assistant/ryoma_avatar.jpg" alt="Ryoma"></div>
-          <span class="ryoma-name">Ryoma</span>
+          ${this.buildPersonaHeader(persona)}
           ${modelInfo}
         </div>
-        <div class="rioma-content">${this.formatContent(content)}</div>
+        <div class="rioma-content">${this.formatContent(content)}${cursor}</div>
+        ${cancel}
+        ${undo}
       </div>
     `;
+    }
+
+    /**
+     * Build the avatar and name of a persona for a chat card header
+     * @param {Object} persona - Persona
+     * @returns {string} HTML
+     */
+    static buildPersonaHeader(persona) {
+        const name = foundry.utils.escapeHTML(persona.name);
+        return `<div class="rioma-avatar"><img src="${foundry.utils.escapeHTML(persona.avatar)}" alt="${name}"></div>
+          <span class="ryoma-name">${name}</span>`;
+    }
+
+    /**
+     * Send Ryoma's message to chat
+     * @param {string} content - Message content
+     * @param {Object} options - Additional options (messageId updates an existing message instead, persona answering, whisper recipients, undoId adds an undo button)
+     * @returns {Promise<ChatMessage>} The message
+     */
+    static async sendAssistantMessage(content, options = {}) {
+        const { messageId, persona: personaOption, whisper, ...flagOptions } = options;
+        const persona = personaOption || PersonaRegistry.getDefault();
+        const html = this.buildAssistantHtml(content, { ...options, persona });
+
+        const flags = {
+            [MODULE_ID]: {
+                isRyomaMessage: true,
+                isThinking: false,
+                personaId: persona.id,
+                ...flagOptions
+            }
+        };
+
+        const existing = messageId ? game.messages.get(messageId) : null;
+        if (existing) {
+            await existing.update({ content: html, flags });
+            return existing;
+        }
 
         const messageData = {
             content: html,
-            speaker: { alias: 'Ryoma' },
+            speaker: { alias: persona.name },
             type: CONST.CHAT_MESSAGE_TYPES.OOC,
-            flags: {
-                [MODULE_ID]: {
-                    isRyomaMessage: true,
-                    ...options
-                }
-            }
+            flags
         };
 
-        await ChatMessage.create(messageData);
+        return ChatMessage.create(ChatVisibility.apply(messageData, whisper));
     }
 
     /**
      * Send error message to chat
      * @param {string} error - Error message
+     * @param {Object} persona - Persona reporting the error (defaults to the world's persona)
+     * @param {Array<string>|null} whisper - Recipients (defaults to the visibility setting)
      */
-    static sendErrorMessage(error) {
+    static sendErrorMessage(error, persona = PersonaRegistry.getDefault(), whisper = null) {
         const html = `
       <div class="rioma-chat-message rioma-error">
         <div class="rioma-header">
-          <div class="rioma-avatar"><img src="modules/fuorid20-ryoma-assistant/ryoma_avatar.jpg" alt="Ryoma"></div>
-          <span class="ryoma-name">Ryoma</span>
+          ${this.buildPersonaHeader(persona)}
         </div>
         <div class="rioma-content">
-          ❌ ${game.i18n.format('RYOMA.Chat.Error', { error })}
+          ❌ ${game.i18n.format('RYOMA.Chat.Error', { error: foundry.utils.escapeHTML(String(error)) })}
         </div>
       </div>
     `;
 
-        ChatMessage.create({
+        ChatMessage.create(ChatVisibility.apply({
             content: html,
-            speaker: { alias: 'Ryoma' },
+            speaker: { alias: persona.name },
             type: CONST.CHAT_MESSAGE_TYPES.OOC
-        });
+        }, whisper));
     }
 
     /**
      * Send a simple chat message
      * @param {string} content - Message content
-     * @param {Object} options - Options
+     * @param {Object} options - Options (isError, persona, whisper)
      */
     static sendChatMessage(content, options = {}) {
         const cssClass = options.isError ? 'rioma-error' : '';
+        const persona = options.persona || PersonaRegistry.getDefault();
 
-        ChatMessage.create({
-            content: `<div class="rioma-chat-message ${cssClass}"><div class="rioma-content">${content}</div></div>`,
-            speaker: { alias: 'Ryoma' },
+        ChatMessage.create(ChatVisibility.apply({
+            content: `<div class="rioma-chat-message ${cssClass}"><div class="rioma-content">${MarkdownRenderer.render(content)}</div></div>`,
+            speaker: { alias: persona.name },
             type: CONST.CHAT_MESSAGE_TYPES.OOC
-        });
+        }, options.whisper));
     }
 
     /**
      * Show thinking indicator
+     * @param {Object} persona - Persona answering
+     * @param {string|null} requestId - Request the card belongs to (its stop button cancels only that one)
+     * @param {Array<string>|null} whisper - Recipients of the request
      * @returns {Promise<string>} Message ID
      */
-    static async showThinking() {
-        const html = `
+    static async showThinking(persona = PersonaRegistry.getDefault(), requestId = null, whisper = null) {
+        const msg = await ChatMessage.create(ChatVisibility.apply({
+            content: this.buildThinkingHtml(game.i18n.localize('RYOMA.Chat.Thinking'), persona),
+            speaker: { alias: persona.name },
+            type: CONST.CHAT_MESSAGE_TYPES.OOC,
+            flags: { [MODULE_ID]: { isThinking: true, personaId: persona.id, requestId } }
+        }, whisper));
+
+        return msg.id;
+    }
+
+    /**
+     * Build the thinking indicator HTML
+     * @param {string} label - Status text
+     * @param {Object} persona - Persona answering
+     * @returns {string} HTML
+     */
+    static buildThinkingHtml(label, persona = PersonaRegistry.getDefault()) {
+        return `
       <div class="rioma-chat-message" id="rioma-thinking">
         <div class="rioma-header">
-          <div class="rioma-avatar"><img src="modules/fuorid20-ryoma-assistant/ryoma_avatar.jpg" alt="Ryoma"></div>
-          <span class="ryoma-name">Ryoma</span>
+          ${this.buildPersonaHeader(persona)}
         </div>
         <div class="rioma-thinking">
-          ${game.i18n.localize('RYOMA.Chat.Thinking')}
+          ${label}
           <span class="dots">
             <span class="dot"></span>
             <span class="dot"></span>
             <span class="dot"></span>
           </span>
         </div>
+        ${this.buildCancelButton()}
       </div>
     `;
+    }
 
-        const msg = await ChatMessage.create({
-            content: html,
-            speaker: { alias: 'Ryoma' },
-            type: CONST.CHAT_MESSAGE_TYPES.OOC,
-            flags: { [MODULE_ID]: { isThinking: true } }
-        });
+    /**
+     * Build the button that stops the request in progress
+     * @returns {string} HTML
+     */
+    static buildCancelButton() {
+        return `<button type="button" class="rioma-cancel" data-action="ryoma-cancel">
+          <i class="fas fa-stop"></i> ${game.i18n.localize('RYOMA.Chat.Cancel')}
+        </button>`;
+    }
 
-        return msg.id;
+    /**
+     * Build the button that undoes an executed action
+     * @returns {string} HTML
+     */
+    static buildUndoButton() {
+        return `<div class="rioma-undo">
+          <button type="button" data-action="ryoma-undo"><i class="fas fa-rotate-left"></i> ${game.i18n.localize('RYOMA.Undo.Button')}</button>
+        </div>`;
+    }
+
+    /**
+     * Show what Ryoma is doing (e.g. which tool is running) on the thinking card
+     * @param {string} messageId - Thinking message ID
+     * @param {string} label - Status text
+     */
+    static async updateThinkingStatus(messageId, label) {
+        await this.setThinkingLabel(messageId, `${label}...`);
+    }
+
+    /**
+     * Replace the text of the thinking card
+     * @param {string} messageId - Thinking message ID
+     * @param {string} label - Text shown before the dots
+     */
+    static async setThinkingLabel(messageId, label) {
+        const message = game.messages.get(messageId);
+        if (!message) return;
+        const persona = PersonaRegistry.get(message.getFlag(MODULE_ID, 'personaId'));
+        await message.update({ content: this.buildThinkingHtml(label, persona) });
     }
 
     /**
@@ -402,25 +1165,12 @@ export class ChatHandler {
     }
 
     /**
-     * Format content with markdown-like processing
+     * Format content as Markdown (raw HTML in the content is escaped)
      * @param {string} content - Raw content
      * @returns {string} Formatted HTML
      */
     static formatContent(content) {
-        if (!content) return '';
-
-        // Convert markdown-like formatting to HTML
-        let formatted = content
-            // Bold
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            // Italic
-            .replace(/\*(.+?)\*/g, '<em>$1</em>')
-            // Code
-            .replace(/`(.+?)`/g, '<code>$1</code>')
-            // Line breaks
-            .replace(/\n/g, '<br>');
-
-        return formatted;
+        return MarkdownRenderer.render(content);
     }
 }
 
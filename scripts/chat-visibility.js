@@ -0,0 +1,82 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Chat Visibility - Who sees the requests to Ryoma and its replies
+ */
+
+import { getSetting } from './config.js';
+
+/**
+ * Turns the visibility setting (or a per-request override) into the whisper
+ * recipients of the chat messages of a request
+ */
+export class ChatVisibility {
+    static MODES = ['gm', 'self', 'public'];
+    static DEFAULT_MODE = 'gm';
+
+    // Per-request overrides written after the prefix: "!R/w ...", "!R/me ..." and "!R/pub ..."
+    static OVERRIDES = {
+        w: 'gm',
+        me: 'self',
+        pub: 'public'
+    };
+
+    /**
+     * Get the localized name of a visibility mode
+     * @param {string} mode - Visibility mode
+     * @returns {string} Name
+     */
+    static getLabel(mode) {
+        return game.i18n.localize(`RYOMA.Settings.ChatVisibility.${mode.charAt(0).toUpperCase()}${mode.slice(1)}`);
+    }
+
+    /**
+     * Resolve an override written after the prefix
+     * @param {string} word - Text after the slash
+     * @returns {string|null} Visibility mode, or null when it is not an override
+     */
+    static resolveOverride(word) {
+        return this.OVERRIDES[word?.toLowerCase()] ?? null;
+    }
+
+    /**
+     * Get the visibility mode of a request
+     * @param {string|null} override - Mode chosen for this request
+     * @returns {string} 'gm', 'self' or 'public'
+     */
+    static getMode(override = null) {
+        if (override && this.MODES.includes(override)) return override;
+        const mode = getSetting('chatVisibility');
+        return this.MODES.includes(mode) ? mode : this.DEFAULT_MODE;
+    }
+
+    /**
+     * Get the whisper recipients for a visibility mode
+     * @param {string} mode - Visibility mode
+     * @param {string} userId - User who sent the request
+     * @returns {Array<string>} User ids, empty for a public message
+     */
+    static getWhisper(mode = this.getMode(), userId = game.user.id) {
+        switch (mode) {
+            case 'public':
+                return [];
+            case 'self':
+                return [userId];
+            default: {
+                const gms = game.users.filter(u => u.isGM).map(u => u.id);
+                return [...new Set([...gms, userId])];
+            }
+        }
+    }
+
+    /**
+     * Add the whisper recipients to the data of a new chat message
+     * @param {Object} messageData - ChatMessage data
+     * @param {Array<string>|null} whisper - Recipients of the request (null = the setting)
+     * @returns {Object} The same data
+     */
+    static apply(messageData, whisper = null) {
+        const recipients = whisper ?? this.getWhisper();
+        if (recipients.length > 0) messageData.whisper = recipients;
+        return messageData;
+    }
+}
@@ -3,7 +3,7 @@
  * Compendium Browser - Search and retrieve compendium content
  */
 
-import { MODULE_ID, getSetting, COMPENDIUM_CATEGORIES } from './config.js';
+import { MODULE_ID, getSetting, getCategoryName } from './config.js';
 
 /**
  * Handles compendium searching and content retrieval
@@ -29,7 +29,7 @@ export class CompendiumBrowser {
 
         for (const [category, packIds] of Object.entries(config)) {
             if (packIds && packIds.length > 0) {
-                result[COMPENDIUM_CATEGORIES[category]?.name || category] = packIds.map(id => {
+                result[getCategoryName(category)] = packIds.map(id => {
                     const pack = game.packs.get(id);
                     return pack ? pack.metadata.label : id;
                 });
@@ -52,7 +52,7 @@ export class CompendiumBrowser {
         if (packIds.length === 0) {
             return {
                 results: [],
-                message: `Nessun compendio configurato per la categoria "${COMPENDIUM_CATEGORIES[category]?.name || category}".`
+                message: game.i18n.format('RYOMA.Compendium.NoneConfigured', { category: getCategoryName(category) })
             };
         }
 
@@ -385,18 +385,18 @@ export class CompendiumBrowser {
      */
     static formatResultsForLLM(results, category) {
         if (!results || results.length === 0) {
-            return `Nessun risultato trovato nella categoria "${COMPENDIUM_CATEGORIES[category]?.name || category}".`;
+            return game.i18n.format('RYOMA.Compendium.NoResults', { category: getCategoryName(category) });
         }
 
-        let text = `Ho trovato ${results.length} risultati:\n`;
+        let text = `${game.i18n.format('RYOMA.Compendium.ResultsFound', { count: results.length })}\n`;
 
         for (const result of results) {
             text += `- **${result.name}**`;
 
             if (result.cr !== undefined) {
-                text += ` (GS ${result.cr})`;
+                text += ` (${game.i18n.localize('RYOMA.Compendium.CR')} ${result.cr})`;
             } else if (result.level !== undefined) {
-                text += ` (Livello ${result.level})`;
+                text += ` (${game.i18n.localize('RYOMA.Compendium.Level')} ${result.level})`;
             }
 
             text += ` - ${result.pack}\n`;
@@ -408,7 +408,7 @@ export class CompendiumBrowser {
     /**
      * Find an item in compendiums by name
      * @param {string} name - Item name to search for
-     * @param {string} category - Optional category to search in (spells, items, features, etc.)
+     * @param {string} category - Optional category to search in (spells, items, features, etc.; 'actors' finds monsters)
      * @returns {Promise<Object|null>} Found item UUID and data, or null
      */
     static async findItemByName(name, category = null) {
@@ -432,7 +432,7 @@ export class CompendiumBrowser {
                     // Exact match (case insensitive)
                     if (entry.name.toLowerCase() === nameLower) {
                         return {
-                            uuid: `Compendium.${packId}.Item.${entry._id}`,
+                            uuid: `Compendium.${packId}.${pack.documentName}.${entry._id}`,
                             name: entry.name,
                             type: entry.type,
                             pack: pack.metadata.label
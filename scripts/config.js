@@ -7,34 +7,97 @@
 export const MODULE_ID = 'fuorid20-ryoma-assistant';
 export const MODULE_NAME = 'Fuori D20: Ryoma Assistant';
 
-// OpenRouter API endpoint
-export const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+// Built-in model tables, used until the live catalogue is fetched (see ModelCatalog) and when offline
 
-// Available LLM models
+// Available LLM models (OpenRouter catalogue)
 export const LLM_MODELS = {
   'openai/gpt-4o-mini': {
     name: 'GPT-4o Mini',
     description: 'Economico e veloce, ottimo per conversazioni',
     costPer1MInput: 0.15,
-    costPer1MOutput: 0.60
+    costPer1MOutput: 0.60,
+    contextLength: 128000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: true
   },
   'anthropic/claude-3.5-sonnet': {
     name: 'Claude 3.5 Sonnet',
     description: 'Avanzato, ideale per creazioni complesse',
     costPer1MInput: 3.00,
-    costPer1MOutput: 15.00
+    costPer1MOutput: 15.00,
+    contextLength: 200000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: false
   },
   'openai/gpt-4o': {
     name: 'GPT-4o',
     description: 'Bilanciato tra qualità e costo',
     costPer1MInput: 2.50,
-    costPer1MOutput: 10.00
+    costPer1MOutput: 10.00,
+    contextLength: 128000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: true
   },
   'anthropic/claude-3-haiku': {
     name: 'Claude 3 Haiku',
     description: 'Economico e veloce',
     costPer1MInput: 0.25,
-    costPer1MOutput: 1.25
+    costPer1MOutput: 1.25,
+    contextLength: 200000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: false
+  }
+};
+
+// Models available through the OpenAI API
+export const OPENAI_MODELS = {
+  'gpt-4o-mini': {
+    name: 'GPT-4o Mini',
+    description: 'Economico e veloce, ottimo per conversazioni',
+    costPer1MInput: 0.15,
+    costPer1MOutput: 0.60,
+    contextLength: 128000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: true
+  },
+  'gpt-4o': {
+    name: 'GPT-4o',
+    description: 'Bilanciato tra qualità e costo',
+    costPer1MInput: 2.50,
+    costPer1MOutput: 10.00,
+    contextLength: 128000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: true
+  }
+};
+
+// Models available through the Anthropic API
+export const ANTHROPIC_MODELS = {
+  'claude-3-5-sonnet-latest': {
+    name: 'Claude 3.5 Sonnet',
+    description: 'Avanzato, ideale per creazioni complesse',
+    costPer1MInput: 3.00,
+    costPer1MOutput: 15.00,
+    contextLength: 200000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: false
+  },
+  'claude-3-haiku-20240307': {
+    name: 'Claude 3 Haiku',
+    description: 'Economico e veloce',
+    costPer1MInput: 0.25,
+    costPer1MOutput: 1.25,
+    contextLength: 200000,
+    supportsTools: true,
+    supportsVision: true,
+    supportsStructuredOutput: false
   }
 };
 
@@ -42,6 +105,86 @@ export const LLM_MODELS = {
 export const DEFAULT_MODEL = 'openai/gpt-4o-mini';
 export const DEFAULT_COMPLEX_MODEL = 'anthropic/claude-3.5-sonnet';
 
+/**
+ * LLM provider backends.
+ * - format: request/response dialect ('openai' for OpenAI-compatible APIs, 'anthropic' for the Messages API,
+ *   'mock' for offline replay of fixture files, see MockProvider)
+ * - authScheme: 'bearer' (Authorization header), 'x-api-key' (Anthropic) or 'none' (local servers)
+ * - models: built-in models; an empty table means the model name is typed freely in the settings
+ *   (the live catalogue fetched from the provider takes precedence, see getProviderModels)
+ * - catalog: false when the provider has no /models endpoint
+ */
+export const LLM_PROVIDERS = {
+  openrouter: {
+    name: 'OpenRouter',
+    format: 'openai',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    authScheme: 'bearer',
+    headers: () => ({
+      'HTTP-Referer': window.location.origin,
+      'X-Title': MODULE_NAME
+    }),
+    models: LLM_MODELS,
+    defaultModel: DEFAULT_MODEL,
+    complexModel: DEFAULT_COMPLEX_MODEL
+  },
+  openai: {
+    name: 'OpenAI',
+    format: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    authScheme: 'bearer',
+    models: OPENAI_MODELS,
+    defaultModel: 'gpt-4o-mini',
+    complexModel: 'gpt-4o'
+  },
+  anthropic: {
+    name: 'Anthropic',
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    authScheme: 'x-api-key',
+    headers: () => ({
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    models: ANTHROPIC_MODELS,
+    defaultModel: 'claude-3-haiku-20240307',
+    complexModel: 'claude-3-5-sonnet-latest'
+  },
+  local: {
+    name: 'Server locale (OpenAI-compatibile)',
+    format: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    authScheme: 'none',
+    streamUsage: false,
+    models: {},
+    defaultModel: 'llama3.1',
+    complexModel: 'llama3.1'
+  },
+  mock: {
+    name: 'Mock (risposte registrate, offline)',
+    format: 'mock',
+    baseUrl: '',
+    authScheme: 'none',
+    catalog: false,
+    models: {
+      'mock/replay': {
+        name: 'Mock Replay',
+        description: 'Risposte lette dal file di fixture',
+        costPer1MInput: 0,
+        costPer1MOutput: 0,
+        contextLength: 128000,
+        supportsTools: true,
+        supportsVision: true,
+        supportsStructuredOutput: false
+      }
+    },
+    defaultModel: 'mock/replay',
+    complexModel: 'mock/replay'
+  }
+};
+
+export const DEFAULT_PROVIDER = 'openrouter';
+
 // Compendium categories for D&D 5e
 export const COMPENDIUM_CATEGORIES = {
   classes: {
@@ -81,6 +224,13 @@ export const COMPENDIUM_CATEGORIES = {
 // Chat command prefix
 export const CHAT_PREFIX = '!R';
 
+// Languages shipped in lang/: UI name and locale for numbers and dates (the prompt names them with RYOMA.Prompt.LanguageNames)
+export const LANGUAGES = {
+  it: { name: 'Italiano', locale: 'it-IT' },
+  en: { name: 'English', locale: 'en-US' }
+};
+export const DEFAULT_LANGUAGE = 'en'; // Foundry's own fallback language
+
 /**
  * Register all module settings
  */
@@ -96,6 +246,73 @@ export function registerSettings() {
     requiresReload: false
   });
 
+  // Language of the module UI and of Ryoma's answers (per user)
+  game.settings.register(MODULE_ID, 'language', {
+    name: game.i18n.localize('RYOMA.Settings.Language.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.Language.Hint'),
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      auto: game.i18n.localize('RYOMA.Settings.Language.Auto'),
+      ...Object.fromEntries(Object.entries(LANGUAGES).map(([key, val]) => [key, val.name]))
+    },
+    default: 'auto',
+    requiresReload: true
+  });
+
+  // LLM provider backend
+  game.settings.register(MODULE_ID, 'provider', {
+    name: game.i18n.localize('RYOMA.Settings.Provider.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.Provider.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.entries(LLM_PROVIDERS).map(([key, val]) => [key, val.name])
+    ),
+    default: DEFAULT_PROVIDER,
+    requiresReload: true
+  });
+
+  // Custom base URL (empty = provider default)
+  game.settings.register(MODULE_ID, 'providerBaseUrl', {
+    name: game.i18n.localize('RYOMA.Settings.ProviderBaseUrl.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.ProviderBaseUrl.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    requiresReload: false
+  });
+
+  // Fixture file replayed by the mock provider
+  game.settings.register(MODULE_ID, 'mockFixture', {
+    name: game.i18n.localize('RYOMA.Settings.MockFixture.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.MockFixture.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    filePicker: 'any',
+    default: `modules/${MODULE_ID}/fixtures/default.json`,
+    requiresReload: false,
+    onChange: async () => {
+      const { MockProvider } = await import('./mock-provider.js');
+      MockProvider.reset();
+    }
+  });
+
+  // Capture real exchanges to build fixtures (kept in memory until exported)
+  game.settings.register(MODULE_ID, 'recordExchanges', {
+    name: game.i18n.localize('RYOMA.Settings.RecordExchanges.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.RecordExchanges.Hint'),
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: false,
+    requiresReload: false
+  });
+
   // API Key (password field)
   game.settings.register(MODULE_ID, 'apiKey', {
     name: game.i18n.localize('RYOMA.Settings.ApiKey.Name'),
@@ -107,6 +324,21 @@ export function registerSettings() {
     requiresReload: false
   });
 
+  // Cached live model list of the provider (see ModelCatalog)
+  game.settings.register(MODULE_ID, 'modelCatalog', {
+    name: 'Model Catalog',
+    hint: 'Models fetched from the provider, with context length, pricing and capabilities',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    requiresReload: false
+  });
+
+  // Model choices depend on the selected provider (free text when it has no model table)
+  const provider = getProvider();
+  const modelChoices = getModelChoices(provider);
+
   // Default model for conversations
   game.settings.register(MODULE_ID, 'defaultModel', {
     name: game.i18n.localize('RYOMA.Settings.DefaultModel.Name'),
@@ -114,10 +346,8 @@ export function registerSettings() {
     scope: 'world',
     config: true,
     type: String,
-    choices: Object.fromEntries(
-      Object.entries(LLM_MODELS).map(([key, val]) => [key, val.name])
-    ),
-    default: DEFAULT_MODEL,
+    choices: modelChoices,
+    default: provider.defaultModel,
     requiresReload: false
   });
 
@@ -128,10 +358,254 @@ export function registerSettings() {
     scope: 'world',
     config: true,
     type: String,
-    choices: Object.fromEntries(
-      Object.entries(LLM_MODELS).map(([key, val]) => [key, val.name])
-    ),
-    default: DEFAULT_COMPLEX_MODEL,
+    choices: modelChoices,
+    default: provider.complexModel,
+    requiresReload: false
+  });
+
+  // How requests are classified before routing to a model
+  game.settings.register(MODULE_ID, 'intentClassifier', {
+    name: game.i18n.localize('RYOMA.Settings.IntentClassifier.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.IntentClassifier.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      rules: game.i18n.localize('RYOMA.Settings.IntentClassifier.Rules'),
+      llm: game.i18n.localize('RYOMA.Settings.IntentClassifier.Llm')
+    },
+    default: 'rules',
+    requiresReload: false
+  });
+
+  // Ordered fallback models used when the primary model keeps failing
+  game.settings.register(MODULE_ID, 'fallbackModels', {
+    name: game.i18n.localize('RYOMA.Settings.FallbackModels.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.FallbackModels.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    requiresReload: false
+  });
+
+  // Request timeout in seconds
+  game.settings.register(MODULE_ID, 'requestTimeout', {
+    name: game.i18n.localize('RYOMA.Settings.RequestTimeout.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.RequestTimeout.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 10, max: 300, step: 5 },
+    default: 90,
+    requiresReload: false
+  });
+
+  // Retries per model on transient errors (429, 5xx, network)
+  game.settings.register(MODULE_ID, 'maxRetries', {
+    name: game.i18n.localize('RYOMA.Settings.MaxRetries.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.MaxRetries.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 5, step: 1 },
+    default: 2,
+    requiresReload: false
+  });
+
+  // Requests served at the same time across all users (0 = no limit)
+  game.settings.register(MODULE_ID, 'maxParallelRequests', {
+    name: game.i18n.localize('RYOMA.Settings.MaxParallelRequests.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.MaxParallelRequests.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 5, step: 1 },
+    default: 1,
+    requiresReload: false
+  });
+
+  // Prompt token budget (0 = automatic from the model's context window)
+  game.settings.register(MODULE_ID, 'contextBudget', {
+    name: game.i18n.localize('RYOMA.Settings.ContextBudget.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.ContextBudget.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    requiresReload: false
+  });
+
+  // Stream responses token by token into the chat card
+  game.settings.register(MODULE_ID, 'streamResponses', {
+    name: game.i18n.localize('RYOMA.Settings.StreamResponses.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.StreamResponses.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    requiresReload: false
+  });
+
+  // Who sees the requests and Ryoma's replies (a request can override it with !R/w, !R/me or !R/pub)
+  game.settings.register(MODULE_ID, 'chatVisibility', {
+    name: game.i18n.localize('RYOMA.Settings.ChatVisibility.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.ChatVisibility.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      gm: game.i18n.localize('RYOMA.Settings.ChatVisibility.Gm'),
+      self: game.i18n.localize('RYOMA.Settings.ChatVisibility.Self'),
+      public: game.i18n.localize('RYOMA.Settings.ChatVisibility.Public')
+    },
+    default: 'gm',
+    requiresReload: false
+  });
+
+  // How many executed actions can be undone (0 = no undo)
+  game.settings.register(MODULE_ID, 'undoDepth', {
+    name: game.i18n.localize('RYOMA.Settings.UndoDepth.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.UndoDepth.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 20, step: 1 },
+    default: 5,
+    requiresReload: false
+  });
+
+  // Names of compendium entries and world documents in replies become @UUID links
+  game.settings.register(MODULE_ID, 'autoLinkContent', {
+    name: game.i18n.localize('RYOMA.Settings.AutoLinkContent.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.AutoLinkContent.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    requiresReload: false
+  });
+
+  // Let the model call compendium/party/actor lookup tools
+  game.settings.register(MODULE_ID, 'enableTools', {
+    name: game.i18n.localize('RYOMA.Settings.EnableTools.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.EnableTools.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true,
+    requiresReload: false
+  });
+
+  // Assistant personas of this world (Ryoma is built in)
+  game.settings.register(MODULE_ID, 'personas', {
+    name: 'Personas',
+    hint: 'Assistant personas with their own name, portrait, prefix, prompt and models',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    requiresReload: false
+  });
+
+  game.settings.register(MODULE_ID, 'defaultPersona', {
+    name: 'Default Persona',
+    hint: 'Persona answering when no specific prefix is used',
+    scope: 'world',
+    config: false,
+    type: String,
+    default: 'ryoma',
+    requiresReload: false
+  });
+
+  // GM overrides of the system prompt sections
+  game.settings.register(MODULE_ID, 'promptTemplates', {
+    name: 'Prompt Templates',
+    hint: 'Customized sections of the Ryoma system prompt',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    requiresReload: false
+  });
+
+  // Token usage and cost ledger
+  game.settings.register(MODULE_ID, 'usageLedger', {
+    name: 'Usage Ledger',
+    hint: 'Token usage and estimated cost of Ryoma requests',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { entries: [], days: {} },
+    requiresReload: false
+  });
+
+  // Proposed actions waiting for confirmation, by action id
+  game.settings.register(MODULE_ID, 'pendingActions', {
+    name: 'Pending Actions',
+    hint: 'Actions proposed by Ryoma and not yet confirmed or cancelled',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    requiresReload: false
+  });
+
+  // Executed actions that can be undone, newest first (created UUIDs and actor snapshots)
+  game.settings.register(MODULE_ID, 'undoHistory', {
+    name: 'Undo History',
+    hint: 'What the actions executed by Ryoma created or changed',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    requiresReload: false
+  });
+
+  // What each role may ask Ryoma (role -> capability -> boolean; missing entries use the defaults)
+  game.settings.register(MODULE_ID, 'capabilities', {
+    name: game.i18n.localize('RYOMA.Settings.Capabilities.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.Capabilities.Hint'),
+    scope: 'world',
+    config: false, // Edited in the capabilities menu
+    type: Object,
+    default: {},
+    requiresReload: false
+  });
+
+  // Spending caps in USD (0 = no cap)
+  game.settings.register(MODULE_ID, 'dailyBudget', {
+    name: game.i18n.localize('RYOMA.Settings.DailyBudget.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.DailyBudget.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    requiresReload: false
+  });
+
+  game.settings.register(MODULE_ID, 'monthlyBudget', {
+    name: game.i18n.localize('RYOMA.Settings.MonthlyBudget.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.MonthlyBudget.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    requiresReload: false
+  });
+
+  // What to do when a cap is exceeded
+  game.settings.register(MODULE_ID, 'budgetAction', {
+    name: game.i18n.localize('RYOMA.Settings.BudgetAction.Name'),
+    hint: game.i18n.localize('RYOMA.Settings.BudgetAction.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      block: game.i18n.localize('RYOMA.Settings.BudgetAction.Block'),
+      downgrade: game.i18n.localize('RYOMA.Settings.BudgetAction.Downgrade')
+    },
+    default: 'downgrade',
     requiresReload: false
   });
 
@@ -176,6 +650,51 @@ export function registerSettings() {
     restricted: true
   });
 
+  game.settings.registerMenu(MODULE_ID, 'modelCatalogMenu', {
+    name: game.i18n.localize('RYOMA.Settings.ModelCatalog.Name'),
+    label: game.i18n.localize('RYOMA.Settings.ModelCatalog.Button'),
+    hint: game.i18n.localize('RYOMA.Settings.ModelCatalog.Hint'),
+    icon: 'fas fa-microchip',
+    type: ModelCatalogApp,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'personaConfigMenu', {
+    name: game.i18n.localize('RYOMA.Settings.PersonaConfig.Name'),
+    label: game.i18n.localize('RYOMA.Settings.PersonaConfig.Button'),
+    hint: game.i18n.localize('RYOMA.Settings.PersonaConfig.Hint'),
+    icon: 'fas fa-masks-theater',
+    type: PersonaConfigApp,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'promptEditorMenu', {
+    name: game.i18n.localize('RYOMA.Settings.PromptEditor.Name'),
+    label: game.i18n.localize('RYOMA.Settings.PromptEditor.Button'),
+    hint: game.i18n.localize('RYOMA.Settings.PromptEditor.Hint'),
+    icon: 'fas fa-scroll',
+    type: PromptEditorApp,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'capabilitiesMenu', {
+    name: game.i18n.localize('RYOMA.Settings.Capabilities.Name'),
+    label: game.i18n.localize('RYOMA.Settings.Capabilities.Button'),
+    hint: game.i18n.localize('RYOMA.Settings.Capabilities.Hint'),
+    icon: 'fas fa-user-shield',
+    type: CapabilitiesConfigApp,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'usageReportMenu', {
+    name: game.i18n.localize('RYOMA.Settings.UsageReport.Name'),
+    label: game.i18n.localize('RYOMA.Settings.UsageReport.Button'),
+    hint: game.i18n.localize('RYOMA.Settings.UsageReport.Hint'),
+    icon: 'fas fa-coins',
+    type: UsageReportApp,
+    restricted: true
+  });
+
   game.settings.registerMenu(MODULE_ID, 'clearHistoryMenu', {
     name: game.i18n.localize('RYOMA.Settings.ClearHistory.Name'),
     label: game.i18n.localize('RYOMA.Settings.ClearHistory.Button'),
@@ -204,11 +723,132 @@ export async function setSetting(key, value) {
   return game.settings.set(MODULE_ID, key, value);
 }
 
+/**
+ * Get the language chosen by the user ('auto' follows Foundry's language)
+ * @returns {string} Language code with a lang file
+ */
+export function getLanguage() {
+  const configured = getSetting('language');
+  if (LANGUAGES[configured]) return configured;
+  return LANGUAGES[game.i18n.lang] ? game.i18n.lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the locale used to format numbers and dates
+ * @returns {string} Locale
+ */
+export function getLocale() {
+  return LANGUAGES[getLanguage()].locale;
+}
+
+/**
+ * Load the module strings of the chosen language when it differs from Foundry's.
+ * Only the RYOMA namespace is replaced, so the rest of the UI keeps Foundry's language.
+ * The file is read synchronously: hooks do not wait for promises, and every string
+ * localized from setup on must already be in the chosen language.
+ */
+export function applyLanguageOverride() {
+  const language = getSetting('language');
+  if (!LANGUAGES[language] || language === game.i18n.lang) return;
+
+  try {
+    const request = new XMLHttpRequest();
+    request.open('GET', `modules/${MODULE_ID}/lang/${language}.json`, false);
+    request.send();
+    if (request.status !== 200) throw new Error(`HTTP ${request.status}`);
+    const translations = JSON.parse(request.responseText);
+    foundry.utils.mergeObject(game.i18n.translations, translations);
+    console.log(`${MODULE_ID} | Module language set to ${language}`);
+  } catch (error) {
+    console.warn(`${MODULE_ID} | Could not load lang/${language}.json:`, error.message);
+  }
+}
+
+/**
+ * Get the localized name of a compendium category
+ * @param {string} category - Category key
+ * @returns {string} Category name
+ */
+export function getCategoryName(category) {
+  const key = `RYOMA.Categories.${category}`;
+  const name = game.i18n.localize(key);
+  return name !== key ? name : (COMPENDIUM_CATEGORIES[category]?.name || category);
+}
+
+/**
+ * Get the active provider definition
+ * @returns {Object} Provider definition with its id
+ */
+export function getProvider() {
+  const id = getSetting('provider');
+  const providerId = LLM_PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+  return { id: providerId, ...LLM_PROVIDERS[providerId] };
+}
+
+/**
+ * Get the base URL for the active provider
+ * @returns {string} Base URL without trailing slash
+ */
+export function getProviderBaseUrl() {
+  const custom = (getSetting('providerBaseUrl') || '').trim();
+  return (custom || getProvider().baseUrl).replace(/\/+$/, '');
+}
+
+/**
+ * Build the settings choices for a provider's models
+ * @param {Object} provider - Provider definition
+ * @returns {Object|undefined} Choices map, or undefined for free text
+ */
+export function getModelChoices(provider) {
+  const entries = Object.entries(getProviderModels(provider));
+  if (entries.length === 0) return undefined;
+
+  entries.sort((a, b) => a[1].name.localeCompare(b[1].name));
+  return Object.fromEntries(entries.map(([key, val]) => [key, describeModel(val)]));
+}
+
+/**
+ * Build the settings label of a model: name, context, price and capabilities
+ * @param {Object} info - Model info
+ * @returns {string} Label
+ */
+function describeModel(info) {
+  const details = [];
+  if (info.contextLength) details.push(`${Math.round(info.contextLength / 1000)}k`);
+  if (info.costPer1MInput || info.costPer1MOutput) {
+    details.push(`$${info.costPer1MInput}/$${info.costPer1MOutput}`);
+  }
+  if (info.supportsTools) details.push('🛠');
+  if (info.supportsVision) details.push('👁');
+  return details.length > 0 ? `${info.name} (${details.join(' · ')})` : info.name;
+}
+
+/**
+ * Get the models of a provider: the cached live catalogue when it belongs to
+ * this provider, otherwise the built-in table
+ * @param {Object} provider - Provider definition with its id
+ * @returns {Object} Models by id
+ */
+export function getProviderModels(provider = getProvider()) {
+  let catalog = null;
+  try {
+    catalog = getSetting('modelCatalog');
+  } catch (error) {
+    // Not registered yet
+  }
+
+  if (catalog?.provider === provider.id && Object.keys(catalog.models || {}).length > 0) {
+    return catalog.models;
+  }
+  return provider.models || {};
+}
+
 /**
  * Check if API key is configured
  * @returns {boolean}
  */
 export function hasApiKey() {
+  if (getProvider().authScheme === 'none') return true;
   const key = getSetting('apiKey');
   return key && key.trim().length > 0;
 }
@@ -219,7 +859,47 @@ export function hasApiKey() {
  * @returns {string} Model identifier
  */
 export function getModel(isComplex = false) {
-  return isComplex ? getSetting('complexModel') : getSetting('defaultModel');
+  const provider = getProvider();
+  const model = isComplex ? getSetting('complexModel') : getSetting('defaultModel');
+
+  // A model saved for another provider falls back to this provider's default
+  const known = Object.keys(getProviderModels(provider));
+  if (!model || (known.length > 0 && !known.includes(model))) {
+    return isComplex ? provider.complexModel : provider.defaultModel;
+  }
+  return model;
+}
+
+/**
+ * Get the ordered fallback models to try after a primary model fails
+ * @param {string} primary - Model that was tried first
+ * @returns {Array<string>} Fallback model identifiers (primary excluded)
+ */
+export function getFallbackModels(primary) {
+  const configured = (getSetting('fallbackModels') || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean);
+
+  // Without an explicit list, the complex model falls back to the default one
+  const chain = configured.length > 0 ? configured : [getModel(false)];
+  return [...new Set(chain)].filter(m => m !== primary);
+}
+
+/**
+ * Get model info from any provider's table
+ * @param {string} modelId - Model identifier
+ * @returns {Object|null} Model info
+ */
+export function getModelInfo(modelId) {
+  const active = getProvider();
+  const live = getProviderModels(active);
+  if (live[modelId]) return live[modelId];
+  if (active.models?.[modelId]) return active.models[modelId];
+  for (const provider of Object.values(LLM_PROVIDERS)) {
+    if (provider.models?.[modelId]) return provider.models[modelId];
+  }
+  return null;
 }
 
 /**
@@ -228,7 +908,7 @@ export function getModel(isComplex = false) {
  * @returns {string} Display name
  */
 export function getModelDisplayName(modelId) {
-  return LLM_MODELS[modelId]?.name || modelId;
+  return getModelInfo(modelId)?.name || modelId;
 }
 
 // Placeholder classes for settings menus (will be defined in UI modules)
@@ -304,7 +984,7 @@ class CompendiumConfigApp extends FormApplication {
       }
 
       categories[key] = {
-        name: category.name,
+        name: getCategoryName(key),
         compendiums,
         selectedCount: (config[key] || []).length
       };
@@ -346,9 +1026,407 @@ class ClearHistoryApp extends FormApplication {
     // Import ConversationManager and clear history
     const { ConversationManager } = await import('./conversation-manager.js');
     await ConversationManager.clearHistory();
-    ui.notifications.info('Storico conversazioni cancellato.');
+    ui.notifications.info(game.i18n.localize('RYOMA.Settings.ClearHistory.Done'));
+  }
+}
+
+class UsageReportApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'rioma-usage-report',
+      title: game.i18n.localize('RYOMA.Usage.Title'),
+      template: `modules/${MODULE_ID}/templates/usage-report.hbs`,
+      classes: ['rioma-usage-report'],
+      width: 720,
+      height: 'auto',
+      closeOnSubmit: false
+    });
+  }
+
+  async getData() {
+    const { UsageLedger } = await import('./usage-ledger.js');
+    const report = UsageLedger.buildReport();
+    const dailyBudget = Number(getSetting('dailyBudget')) || 0;
+    const monthlyBudget = Number(getSetting('monthlyBudget')) || 0;
+
+    return {
+      ...report,
+      dailyBudget,
+      monthlyBudget,
+      dailyPercent: dailyBudget > 0 ? Math.min(100, Math.round(report.today.cost / dailyBudget * 100)) : null,
+      monthlyPercent: monthlyBudget > 0 ? Math.min(100, Math.round(report.month.cost / monthlyBudget * 100)) : null
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action="close"]').on('click', () => this.close());
+  }
+
+  async _updateObject(event, formData) {
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('RYOMA.Usage.Reset'),
+      content: `<p>${game.i18n.localize('RYOMA.Usage.ResetConfirm')}</p>`
+    });
+    if (!confirmed) return;
+
+    const { UsageLedger } = await import('./usage-ledger.js');
+    await UsageLedger.reset();
+    ui.notifications.info(game.i18n.localize('RYOMA.Usage.ResetDone'));
+    this.render();
+  }
+}
+
+/**
+ * System prompt template editor
+ */
+class PromptEditorApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'rioma-prompt-editor',
+      title: game.i18n.localize('RYOMA.Prompt.Title'),
+      template: `modules/${MODULE_ID}/templates/prompt-editor.hbs`,
+      classes: ['rioma-prompt-editor'],
+      width: 760,
+      height: 720,
+      resizable: true,
+      closeOnSubmit: true
+    });
+  }
+
+  async getData() {
+    const { PromptTemplates } = await import('./prompt-templates.js');
+    // Unsaved edits survive a re-render (preview, section reset)
+    const edited = this.edited || {};
+
+    return {
+      sections: PromptTemplates.getSections().map(section => {
+        const template = edited[section.id]?.template ?? section.template;
+        const enabled = edited[section.id]?.enabled ?? section.enabled;
+        return {
+          id: section.id,
+          label: game.i18n.localize(`RYOMA.Prompt.Sections.${section.id}.Name`),
+          hint: game.i18n.localize(`RYOMA.Prompt.Sections.${section.id}.Hint`),
+          template,
+          enabled,
+          customized: template !== section.defaultTemplate || !enabled
+        };
+      }),
+      variables: PromptTemplates.VARIABLES.map(name => ({
+        name: `{{${name}}}`,
+        description: game.i18n.localize(`RYOMA.Prompt.Variables.${name}`)
+      })),
+      preview: this.preview || null
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action="close"]').on('click', () => this.close());
+    html.find('[data-action="reset-section"]').on('click', this._onResetSection.bind(this));
+    html.find('[data-action="reset-all"]').on('click', this._onResetAll.bind(this));
+    html.find('[data-action="preview"]').on('click', this._onPreview.bind(this));
+  }
+
+  /**
+   * Read the sections currently in the form
+   * @returns {Object} { [sectionId]: { template, enabled } }
+   */
+  _readSections() {
+    return foundry.utils.expandObject(this._getSubmitData()).sections || {};
+  }
+
+  async _onResetSection(event) {
+    event.preventDefault();
+    const { PromptTemplates } = await import('./prompt-templates.js');
+    const id = event.currentTarget.dataset.section;
+
+    this.edited = this._readSections();
+    this.edited[id] = { template: PromptTemplates.getDefault(id), enabled: true };
+    this.render();
+  }
+
+  async _onResetAll(event) {
+    event.preventDefault();
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('RYOMA.Prompt.ResetAll'),
+      content: `<p>${game.i18n.localize('RYOMA.Prompt.ResetConfirm')}</p>`
+    });
+    if (!confirmed) return;
+
+    const { PromptTemplates } = await import('./prompt-templates.js');
+    await PromptTemplates.reset();
+    this.edited = null;
+    this.preview = null;
+    ui.notifications.info(game.i18n.localize('RYOMA.Prompt.ResetDone'));
+    this.render();
+  }
+
+  /**
+   * Render the prompt with the unsaved edits and the real party/compendium context
+   */
+  async _onPreview(event) {
+    event.preventDefault();
+    const { PromptTemplates } = await import('./prompt-templates.js');
+    const { ChatHandler } = await import('./chat-handler.js');
+    const { TokenBudget } = await import('./token-budget.js');
+    const { PersonaRegistry } = await import('./persona-registry.js');
+
+    this.edited = this._readSections();
+    const sections = PromptTemplates.getSections().map(section => ({
+      ...section,
+      template: this.edited[section.id]?.template ?? section.template,
+      enabled: this.edited[section.id]?.enabled ?? section.enabled
+    }));
+
+    // Preview a creation request, the one that uses the most sections, as the complex model gets it
+    const context = await ChatHandler.buildContext();
+    const text = PromptTemplates.build({
+      ...context,
+      persona: PersonaRegistry.getDefault(),
+      toolsEnabled: !!getSetting('enableTools'),
+      includeCreationGuide: true,
+      includePartySummary: true,
+      structuredOutput: getModelInfo(getModel(true))?.supportsStructuredOutput === true
+    }, sections);
+
+    this.preview = { text, tokens: TokenBudget.estimate(text) };
+    this.render();
+  }
+
+  async _updateObject(event, formData) {
+    const { PromptTemplates } = await import('./prompt-templates.js');
+    await PromptTemplates.save(foundry.utils.expandObject(formData).sections || {});
+    this.edited = null;
+    this.preview = null;
+    ui.notifications.info(game.i18n.localize('RYOMA.Prompt.Saved'));
+  }
+}
+
+/**
+ * Persona registry editor
+ */
+class PersonaConfigApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'rioma-persona-config',
+      title: game.i18n.localize('RYOMA.Persona.Title'),
+      template: `modules/${MODULE_ID}/templates/persona-config.hbs`,
+      classes: ['rioma-persona-config'],
+      width: 640,
+      height: 700,
+      resizable: true,
+      closeOnSubmit: false
+    });
+  }
+
+  async getData() {
+    const { PersonaRegistry } = await import('./persona-registry.js');
+    // Unsaved edits survive a re-render (add, delete)
+    const personas = this.personas || PersonaRegistry.getAll();
+    const defaultId = this.defaultId || getSetting('defaultPersona');
+
+    return {
+      personas: personas.map((persona, index) => ({
+        ...persona,
+        index,
+        builtIn: persona.id === PersonaRegistry.DEFAULT_ID,
+        isDefault: persona.id === defaultId
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action="close"]').on('click', () => this.close());
+    html.find('[data-action="add-persona"]').on('click', this._onAddPersona.bind(this));
+    html.find('[data-action="delete-persona"]').on('click', this._onDeletePersona.bind(this));
+  }
+
+  /**
+   * Read the personas currently in the form
+   * @param {Object} formData - Flat form data
+   * @returns {{personas: Array<Object>, defaultId: string}}
+   */
+  _readPersonas(formData = this._getSubmitData()) {
+    const data = foundry.utils.expandObject(formData);
+    return {
+      personas: Object.values(data.personas || {}),
+      defaultId: data.defaultPersona
+    };
+  }
+
+  async _onAddPersona(event) {
+    event.preventDefault();
+    const { PersonaRegistry } = await import('./persona-registry.js');
+    const { personas, defaultId } = this._readPersonas();
+
+    personas.push({ ...PersonaRegistry.NEW_PERSONA, id: foundry.utils.randomID() });
+    this.personas = personas;
+    this.defaultId = defaultId;
+    this.render();
+  }
+
+  async _onDeletePersona(event) {
+    event.preventDefault();
+    const index = Number(event.currentTarget.dataset.index);
+    const { personas, defaultId } = this._readPersonas();
+
+    personas.splice(index, 1);
+    this.personas = personas;
+    this.defaultId = defaultId;
+    this.render();
+  }
+
+  async _updateObject(event, formData) {
+    const { PersonaRegistry } = await import('./persona-registry.js');
+    const { personas, defaultId } = this._readPersonas(formData);
+
+    try {
+      await PersonaRegistry.save(personas, defaultId);
+    } catch (error) {
+      // Keep the form open with the edits
+      ui.notifications.error(error.message);
+      return;
+    }
+
+    this.personas = null;
+    this.defaultId = null;
+    ui.notifications.info(game.i18n.localize('RYOMA.Persona.Saved'));
+    this.close();
+  }
+}
+
+/**
+ * Role-based capability matrix editor
+ */
+class CapabilitiesConfigApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'rioma-capabilities-config',
+      title: game.i18n.localize('RYOMA.Capabilities.Title'),
+      template: `modules/${MODULE_ID}/templates/capabilities-config.hbs`,
+      classes: ['rioma-capabilities-config'],
+      width: 620,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+
+  async getData() {
+    const { Capabilities } = await import('./capabilities.js');
+    const matrix = Capabilities.getMatrix();
+    const roleName = (role) => game.i18n.localize(`USER.Role${role.charAt(0)}${role.slice(1).toLowerCase()}`);
+
+    return {
+      capabilities: Capabilities.LIST.map(key => ({
+        key,
+        label: Capabilities.getLabel(key),
+        hint: game.i18n.localize(`RYOMA.Capabilities.Hints.${key}`)
+      })),
+      roles: [
+        ...Capabilities.ROLES.map(role => ({
+          key: role,
+          name: roleName(role),
+          cells: Capabilities.LIST.map(key => ({ key, checked: matrix[role][key] }))
+        })),
+        // The Game Master row is shown for reference and cannot be changed
+        {
+          key: 'GAMEMASTER',
+          name: roleName('GAMEMASTER'),
+          locked: true,
+          cells: Capabilities.LIST.map(key => ({ key, checked: true }))
+        }
+      ]
+    };
+  }
+
+  async _updateObject(event, formData) {
+    const { Capabilities } = await import('./capabilities.js');
+    await Capabilities.save(foundry.utils.expandObject(formData).matrix || {});
+    ui.notifications.info(game.i18n.localize('RYOMA.Capabilities.Saved'));
+  }
+}
+
+/**
+ * Model catalogue viewer with manual refresh
+ */
+class ModelCatalogApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'rioma-model-catalog',
+      title: game.i18n.localize('RYOMA.ModelCatalog.Title'),
+      template: `modules/${MODULE_ID}/templates/model-catalog.hbs`,
+      classes: ['rioma-model-catalog'],
+      width: 760,
+      height: 640,
+      resizable: true,
+      closeOnSubmit: false
+    });
+  }
+
+  async getData() {
+    const { ModelCatalog } = await import('./model-catalog.js');
+    const provider = getProvider();
+    const cache = ModelCatalog.getCache();
+    const live = cache?.provider === provider.id;
+    const defaultModel = getModel(false);
+    const complexModel = getModel(true);
+
+    const models = Object.entries(getProviderModels(provider))
+      .map(([id, info]) => ({
+        id,
+        ...info,
+        contextK: info.contextLength ? Math.round(info.contextLength / 1000) : null,
+        isDefault: id === defaultModel,
+        isComplex: id === complexModel
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      providerName: provider.name,
+      live,
+      fetchedAt: live ? cache.fetchedAt : null,
+      models,
+      count: models.length
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action="close"]').on('click', () => this.close());
+    html.find('[data-action="filter"]').on('input', event => {
+      const query = event.currentTarget.value.trim().toLowerCase();
+      html.find('tr[data-model]').each((i, row) => {
+        row.style.display = !query || row.dataset.model.toLowerCase().includes(query) ? '' : 'none';
+      });
+    });
+    html.find('[data-action="use-model"]').on('click', this._onUseModel.bind(this));
+  }
+
+  /**
+   * Set a model as conversation or creation model
+   */
+  async _onUseModel(event) {
+    event.preventDefault();
+    const { model, target } = event.currentTarget.dataset;
+    await setSetting(target, model);
+    ui.notifications.info(game.i18n.format('RYOMA.ModelCatalog.ModelSet', { model: getModelDisplayName(model) }));
+    this.render();
+  }
+
+  async _updateObject(event, formData) {
+    const { ModelCatalog } = await import('./model-catalog.js');
+    const updated = await ModelCatalog.refresh(true);
+
+    if (updated) {
+      ui.notifications.info(game.i18n.localize('RYOMA.ModelCatalog.Updated'));
+    } else {
+      ui.notifications.warn(game.i18n.localize('RYOMA.ModelCatalog.Failed'));
+    }
+    this.render();
   }
 }
 
 // Export the app classes for registration
-export { PartySelectorApp, CompendiumConfigApp, ClearHistoryApp };
+export { PartySelectorApp, CompendiumConfigApp, ClearHistoryApp, UsageReportApp, PromptEditorApp, PersonaConfigApp, ModelCatalogApp };
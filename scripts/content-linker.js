@@ -0,0 +1,236 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Content Linker - Turns names in Ryoma's replies into Foundry content links
+ */
+
+import { MODULE_ID, getSetting } from './config.js';
+import { CompendiumBrowser } from './compendium-browser.js';
+import { Capabilities } from './capabilities.js';
+
+// Text that must not be linked: code, Foundry enrichers already in the text, Markdown and HTML links
+const PROTECTED = /(`{3,}|~{3,})[\s\S]*?(?:\1|$)|`[^`\n]*`|@\w+\[[^\]\n]*\](?:\{[^}\n]*\})?|\[[^\]\n]*\]\([^)\n]*\)|<a\b[^>]*>[\s\S]*?<\/a>/gi;
+
+// Names written in bold or italic: **Passo velato**, __Goblin__, *Scudo*, _Scudo_
+const EMPHASIS = /(\*\*|__)([^*_\n]+?)\1|(?<![*_\p{L}\d])([*_])([^*_\n]+?)\3(?![*_\p{L}\d])/gu;
+
+/**
+ * Post-processes a reply so that names of compendium entries and world documents become
+ * @UUID[...]{name} links, which can be opened or dragged onto a sheet.
+ * Names in bold or italic are looked up in the world and in the configured compendiums
+ * (CompendiumBrowser.findItemByName). Names of world actors and items of more than one word
+ * are also linked where they appear unmarked; single words ("Orc", "Rope") are too common in
+ * prose and need the emphasis. Only the first mention of each document is linked. Users without the GM
+ * context get no Actor links, as they get no monsters or world Actors in their context.
+ */
+export class ContentLinker {
+    static MIN_NAME_LENGTH = 3;
+    static MAX_NAME_LENGTH = 60;
+    static MAX_LINKS = 20;
+
+    /**
+     * Whether replies are linked
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        return getSetting('autoLinkContent') !== false;
+    }
+
+    /**
+     * Link the names mentioned in a text
+     * @param {string} text - Markdown text of a reply
+     * @param {Object} options - Options (gmContext: Actors may be linked, defaults to the current user's)
+     * @returns {Promise<string>} Text with content links
+     */
+    static async link(text, options = {}) {
+        if (!text || !this.isEnabled()) return text;
+        const gmContext = options.gmContext ?? Capabilities.hasGMContext();
+
+        try {
+            let segments = this.split(String(text));
+            const linked = new Set(); // UUIDs already linked
+            const documents = this.getWorldDocuments(gmContext);
+
+            // Emphasized names, looked up in the world first and then in the compendiums
+            const candidates = [];
+            for (const segment of segments) {
+                if (segment.protected) continue;
+                for (const match of segment.text.matchAll(EMPHASIS)) {
+                    const name = this.cleanName(match[2] ?? match[4]);
+                    if (name && !candidates.some(c => c.toLowerCase() === name.toLowerCase())) candidates.push(name);
+                }
+            }
+
+            for (const name of candidates) {
+                if (linked.size >= this.MAX_LINKS) break;
+                const found = await this.resolve(name, gmContext, documents);
+                if (!found || linked.has(found.uuid)) continue;
+
+                const pattern = new RegExp(`(\\*\\*|__|\\*|_)(\\s*)(${this.escapeRegExp(name)})([\\s.,;:!?]*)\\1`, 'iu');
+                const replaced = this.replaceFirst(segments, pattern, (match, mark, before, label, after) =>
+                    `${mark}${before}${this.buildLink(found.uuid, label)}${after}${mark}`);
+                if (replaced) {
+                    segments = replaced;
+                    linked.add(found.uuid);
+                }
+            }
+
+            // World documents with names of several words are linked where they appear unmarked
+            const plain = documents.filter(document => /\s/.test(document.name.trim()) && !linked.has(document.uuid));
+            if (plain.length > 0 && linked.size < this.MAX_LINKS) {
+                const byName = new Map();
+                for (const document of plain) {
+                    if (!byName.has(document.name.toLowerCase())) byName.set(document.name.toLowerCase(), document);
+                }
+
+                // One pattern for all the names, longest first so "Re dei Goblin" wins over "Re dei"
+                const names = [...byName.keys()].map(name => this.escapeRegExp(name)).join('|');
+                const pattern = new RegExp(`(?<![\\p{L}\\d_])(${names})(?![\\p{L}\\d_])`, 'giu');
+                segments = this.replaceEach(segments, pattern, (match, label) => {
+                    const document = byName.get(label.toLowerCase());
+                    if (!document || linked.has(document.uuid) || linked.size >= this.MAX_LINKS) return null;
+                    linked.add(document.uuid);
+                    return this.buildLink(document.uuid, label);
+                });
+            }
+
+            return segments.map(segment => segment.text).join('');
+        } catch (error) {
+            console.warn(`${MODULE_ID} | Could not link the reply:`, error);
+            return text;
+        }
+    }
+
+    /**
+     * Split a text into linkable and protected segments
+     * @param {string} text - Text
+     * @returns {Array<{text: string, protected: boolean}>} Segments
+     */
+    static split(text) {
+        const segments = [];
+        let last = 0;
+        for (const match of text.matchAll(PROTECTED)) {
+            if (match.index > last) segments.push({ text: text.slice(last, match.index), protected: false });
+            segments.push({ text: match[0], protected: true });
+            last = match.index + match[0].length;
+        }
+        if (last < text.length) segments.push({ text: text.slice(last), protected: false });
+        return segments;
+    }
+
+    /**
+     * Replace the first match of a pattern in the linkable segments; the replacement becomes protected
+     * @param {Array<Object>} segments - Segments
+     * @param {RegExp} pattern - Pattern (not global)
+     * @param {Function} replacer - Builds the replacement from the match groups
+     * @returns {Array<Object>|null} New segments, or null when nothing matched
+     */
+    static replaceFirst(segments, pattern, replacer) {
+        for (let i = 0; i < segments.length; i++) {
+            if (segments[i].protected) continue;
+            const match = segments[i].text.match(pattern);
+            if (!match) continue;
+
+            const { text } = segments[i];
+            const end = match.index + match[0].length;
+            return [
+                ...segments.slice(0, i),
+                { text: text.slice(0, match.index), protected: false },
+                { text: replacer(...match), protected: true },
+                { text: text.slice(end), protected: false },
+                ...segments.slice(i + 1)
+            ];
+        }
+        return null;
+    }
+
+    /**
+     * Replace every match of a pattern in the linkable segments; replacements become protected
+     * @param {Array<Object>} segments - Segments
+     * @param {RegExp} pattern - Global pattern
+     * @param {Function} replacer - Builds the replacement from the match groups, null to keep the text
+     * @returns {Array<Object>} New segments
+     */
+    static replaceEach(segments, pattern, replacer) {
+        const result = [];
+        for (const segment of segments) {
+            if (segment.protected) {
+                result.push(segment);
+                continue;
+            }
+
+            let last = 0;
+            for (const match of segment.text.matchAll(pattern)) {
+                const replacement = replacer(...match);
+                if (replacement === null) continue;
+                result.push({ text: segment.text.slice(last, match.index), protected: false });
+                result.push({ text: replacement, protected: true });
+                last = match.index + match[0].length;
+            }
+            result.push({ text: segment.text.slice(last), protected: false });
+        }
+        return result;
+    }
+
+    /**
+     * Find the document an emphasized name refers to
+     * @param {string} name - Name
+     * @param {boolean} gmContext - Whether Actors may be linked
+     * @param {Array<Object>} documents - Linkable world documents (getWorldDocuments)
+     * @returns {Promise<Object|null>} { uuid, name } or null
+     */
+    static async resolve(name, gmContext, documents = this.getWorldDocuments(gmContext)) {
+        const lower = name.toLowerCase();
+        const world = documents.find(document => document.name.toLowerCase() === lower);
+        if (world) return world;
+
+        const item = await CompendiumBrowser.findItemByName(name);
+        if (item) return item;
+
+        return gmContext ? CompendiumBrowser.findItemByName(name, 'actors') : null;
+    }
+
+    /**
+     * Get the world documents that can be linked, longest names first
+     * @param {boolean} gmContext - Whether Actors may be linked
+     * @returns {Array<{uuid: string, name: string}>}
+     */
+    static getWorldDocuments(gmContext) {
+        const collections = gmContext ? [game.items, game.actors] : [game.items];
+        return collections
+            .flatMap(collection => collection?.contents ?? [])
+            .filter(document => document.name?.length >= this.MIN_NAME_LENGTH
+                && document.testUserPermission(game.user, 'LIMITED'))
+            .map(document => ({ uuid: document.uuid, name: document.name }))
+            .sort((a, b) => b.name.length - a.name.length);
+    }
+
+    /**
+     * Clean an emphasized text into a name to look up
+     * @param {string} text - Emphasized text
+     * @returns {string|null} Name, or null when it cannot be a name
+     */
+    static cleanName(text) {
+        const name = text.trim().replace(/[\s.,;:!?]+$/, '');
+        if (name.length < this.MIN_NAME_LENGTH || name.length > this.MAX_NAME_LENGTH) return null;
+        return /\p{L}/u.test(name) ? name : null;
+    }
+
+    /**
+     * Build a content link
+     * @param {string} uuid - Document UUID
+     * @param {string} label - Text shown
+     * @returns {string} @UUID enricher
+     */
+    static buildLink(uuid, label) {
+        return `@UUID[${uuid}]{${label.replace(/[{}[\]]/g, '')}}`;
+    }
+
+    /**
+     * Escape text for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { MODULE_ID } from './config.js';
+import { SettingsRelay } from './settings-relay.js';
 
 /**
  * Manages conversation history persistence using module settings
@@ -43,6 +44,17 @@ export class ConversationManager {
         }
     }
 
+    /**
+     * Register the history operations run through the GM for players
+     * Called from module.js during module init
+     */
+    static registerOperations() {
+        SettingsRelay.register('history.append', {
+            capability: null,
+            apply: ({ role, content, metadata }, user) => this.appendMessage(role, content, metadata, user)
+        });
+    }
+
     /**
      * Save a message to history
      * @param {string} role - 'user' or 'assistant'
@@ -51,46 +63,60 @@ export class ConversationManager {
      */
     static async saveMessage(role, content, metadata = {}) {
         try {
-            const history = await this.getHistory();
-
-            const message = {
-                id: foundry.utils.randomID(),
-                timestamp: new Date().toISOString(),
-                role: role,
-                content: content,
-                metadata: {
-                    userId: game.user.id,
-                    userName: game.user.name,
-                    model: metadata.model || null,
-                    action: metadata.action || null,
-                    actionData: metadata.actionData || null,
-                    ...metadata
-                }
-            };
+            // Players go through the GM
+            return await SettingsRelay.run('history.append', { role, content, metadata });
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error saving message:`, error);
+            throw error;
+        }
+    }
 
-            history.push(message);
+    /**
+     * Append a message to the stored history (on the client that writes settings)
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} content - Message content
+     * @param {Object} metadata - Additional metadata
+     * @param {User} user - User the message belongs to
+     * @returns {Promise<Object>} Stored message
+     */
+    static async appendMessage(role, content, metadata = {}, user = game.user) {
+        if (!['user', 'assistant'].includes(role)) throw new Error(`Invalid message role: ${role}`);
+
+        const history = await this.getHistory();
 
-            // Trim to max history
-            while (history.length > this.MAX_HISTORY) {
-                history.shift();
+        const message = {
+            id: foundry.utils.randomID(),
+            timestamp: new Date().toISOString(),
+            role: role,
+            content: String(content ?? ''),
+            metadata: {
+                model: metadata.model || null,
+                action: metadata.action || null,
+                actionData: metadata.actionData || null,
+                ...metadata,
+                userId: user.id,
+                userName: user.name
             }
+        };
 
-            // Save to settings
-            await game.settings.set(MODULE_ID, this.SETTING_KEY, history);
+        history.push(message);
 
-            return message;
-        } catch (error) {
-            console.error(`${MODULE_ID} | Error saving message:`, error);
-            throw error;
+        // Trim to max history
+        while (history.length > this.MAX_HISTORY) {
+            history.shift();
         }
+
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, history);
+        return message;
     }
 
     /**
      * Save a user message
      * @param {string} content - Message content
+     * @param {Object} metadata - Additional metadata (e.g. intent)
      */
-    static async saveUserMessage(content) {
-        return this.saveMessage('user', content);
+    static async saveUserMessage(content, metadata = {}) {
+        return this.saveMessage('user', content, metadata);
     }
 
     /**
@@ -102,6 +128,19 @@ export class ConversationManager {
         return this.saveMessage('assistant', content, metadata);
     }
 
+    /**
+     * Record that the user cancelled a request before Ryoma answered
+     * (keeps the history alternating user/assistant)
+     * @param {Object} metadata - Additional metadata
+     */
+    static async saveCancellation(metadata = {}) {
+        return this.saveMessage('assistant', game.i18n.localize('RYOMA.History.RequestCancelled'), {
+            ...metadata,
+            action: 'cancel_request',
+            actionData: { status: 'cancelled' }
+        });
+    }
+
     /**
      * Get recent history for LLM context
      * @param {number} limit - Number of messages to retrieve
@@ -145,10 +184,12 @@ export class ConversationManager {
 
     /**
      * Get conversation statistics
+     * @param {string|null} [userId] - Count only the messages of this user (null = whole history)
      * @returns {Promise<Object>} Statistics about the conversation
      */
-    static async getStats() {
-        const history = await this.getHistory();
+    static async getStats(userId = null) {
+        const history = (await this.getHistory())
+            .filter(m => !userId || m.metadata?.userId === userId);
 
         const userMessages = history.filter(m => m.role === 'user').length;
         const assistantMessages = history.filter(m => m.role === 'assistant').length;
@@ -244,13 +285,20 @@ export class ConversationManager {
         }
 
         // For older messages, create a brief summary
-        const oldMessages = history.slice(0, -recentCount);
-        const topics = new Set();
+        return this.summarizeMessages(history.slice(0, -recentCount));
+    }
+
+    /**
+     * Summarise a set of messages: performed actions and the topics the user asked about
+     * @param {Array} messages - Messages with metadata
+     * @param {number} maxTopics - Maximum number of topics to list
+     * @returns {string} Summary text
+     */
+    static summarizeMessages(messages, maxTopics = 8) {
         const actions = [];
 
-        for (const msg of oldMessages) {
-            // Extract key topics (simple extraction)
-            if (msg.metadata?.action) {
+        for (const msg of messages) {
+            if (msg.metadata?.action && msg.metadata?.actionData?.status === 'completed') {
                 actions.push({
                     action: msg.metadata.action,
                     data: msg.metadata.actionData
@@ -260,19 +308,32 @@ export class ConversationManager {
 
         let summary = '';
         if (actions.length > 0) {
-            summary = `Nelle conversazioni precedenti, abbiamo: `;
+            const unknown = game.i18n.localize('RYOMA.History.Unknown');
             const actionSummaries = actions.map(a => {
                 if (a.action === 'create_actor') {
-                    return `creato l'Actor "${a.data?.name || 'sconosciuto'}"`;
+                    return game.i18n.format('RYOMA.History.CreatedActor', { name: a.data?.name || unknown });
                 } else if (a.action === 'modify_actor') {
-                    return `modificato un Actor`;
+                    return game.i18n.localize('RYOMA.History.ModifiedActor');
                 } else if (a.action === 'create_item') {
-                    return `creato l'Item "${a.data?.name || 'sconosciuto'}"`;
+                    return game.i18n.format('RYOMA.History.CreatedItem', { name: a.data?.name || unknown });
                 }
                 return null;
             }).filter(Boolean);
 
-            summary += actionSummaries.join(', ') + '.';
+            summary = game.i18n.format('RYOMA.History.PreviousActions', { actions: actionSummaries.join(', ') });
+        }
+
+        // Most recent user requests among the summarised ones
+        const topics = messages
+            .filter(m => m.role === 'user' && m.content)
+            .slice(-maxTopics)
+            .map(m => {
+                const text = m.content.replace(/\s+/g, ' ').trim();
+                return text.length > 80 ? `${text.substring(0, 80)}...` : text;
+            });
+
+        if (topics.length > 0) {
+            summary += `${summary ? '\n' : ''}${game.i18n.localize('RYOMA.History.PreviousRequests')}\n- ${topics.join('\n- ')}`;
         }
 
         return summary;
@@ -0,0 +1,514 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Creation Schema - JSON schemas and validation for RYOMA_CREATE blocks, and the
+ * structured-output response format built from them
+ */
+
+// Allowed values, kept in sync with the reference section of the system prompt
+export const DAMAGE_TYPES = ['acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder', 'healing', 'temphp'];
+export const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+export const ACTION_TYPES = ['mwak', 'rwak', 'msak', 'rsak', 'save', 'heal', 'abil', 'util', 'other'];
+export const SPELL_SCHOOLS = ['abj', 'con', 'div', 'enc', 'evo', 'ill', 'nec', 'trs'];
+export const ACTOR_SIZES = ['tiny', 'sm', 'med', 'lg', 'huge', 'grg'];
+export const ACTOR_TYPES = ['npc', 'character'];
+export const ITEM_TYPES = ['weapon', 'spell', 'feat', 'feature', 'equipment', 'consumable', 'tool', 'loot', 'container', 'class', 'subclass', 'race', 'background'];
+export const CREATION_ACTIONS = ['create_actor', 'create_item', 'modify_actor'];
+export const SKILLS = ['acr', 'ani', 'arc', 'ath', 'dec', 'his', 'ins', 'itm', 'inv', 'med', 'nat', 'prc', 'prf', 'per', 'rel', 'slt', 'ste', 'sur'];
+
+const DAMAGE_PART = {
+    type: 'object',
+    required: ['formula', 'type'],
+    properties: {
+        formula: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: DAMAGE_TYPES }
+    }
+};
+
+const SAVE = {
+    type: 'object',
+    required: ['ability'],
+    properties: {
+        ability: { type: 'string', enum: ABILITIES },
+        dc: { type: ['integer', 'null'], minimum: 1, maximum: 30 },
+        effect: { type: 'string' }
+    }
+};
+
+const DISTANCE = {
+    type: 'object',
+    properties: {
+        value: { type: ['number', 'null'], minimum: 0 },
+        long: { type: ['number', 'null'], minimum: 0 },
+        units: { type: 'string' },
+        type: { type: 'string' }
+    }
+};
+
+// Fields shared by standalone items and custom items embedded in an actor
+const ITEM_FIELDS = {
+    description: { type: 'string' },
+    actionType: { type: 'string', enum: ACTION_TYPES },
+    damage: { type: 'array', items: DAMAGE_PART },
+    save: SAVE,
+    level: { type: 'integer', minimum: 0, maximum: 9 },
+    school: { type: 'string', enum: SPELL_SCHOOLS },
+    range: DISTANCE,
+    target: DISTANCE,
+    components: {
+        type: 'object',
+        properties: {
+            vocal: { type: 'boolean' },
+            somatic: { type: 'boolean' },
+            material: { type: 'boolean' }
+        }
+    },
+    properties: { type: ['array', 'object'] }
+};
+
+const ABILITY_SCORES = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(ABILITIES.map(a => [a, { type: 'integer', minimum: 1, maximum: 30 }]))
+};
+
+const ACTOR_ITEM = {
+    type: 'object',
+    required: ['name', 'type'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: ITEM_TYPES },
+        fromCompendium: { type: ['boolean', 'string'] },
+        custom: { type: 'object', properties: ITEM_FIELDS }
+    }
+};
+
+const DAMAGE_TYPE_LIST = { type: 'array', items: { type: 'string', enum: DAMAGE_TYPES } };
+
+/**
+ * JSON schema of the data payload for each creation action
+ */
+export const CREATION_SCHEMAS = {
+    create_item: {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ITEM_TYPES },
+            targetActorUuid: { type: 'string' },
+            ...ITEM_FIELDS
+        }
+    },
+
+    create_actor: {
+        type: 'object',
+        required: ['name', 'abilities', 'hp', 'ac'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ACTOR_TYPES },
+            cr: { type: 'number', minimum: 0, maximum: 30 },
+            size: { type: 'string', enum: ACTOR_SIZES },
+            creatureType: { type: 'string' },
+            abilities: ABILITY_SCORES,
+            hp: {
+                type: 'object',
+                required: ['max'],
+                properties: {
+                    max: { type: 'integer', minimum: 1 },
+                    value: { type: 'integer', minimum: 0 },
+                    formula: { type: 'string' }
+                }
+            },
+            ac: {
+                type: 'object',
+                required: ['value'],
+                properties: {
+                    value: { type: 'integer', minimum: 1, maximum: 30 },
+                    formula: { type: 'string' }
+                }
+            },
+            speed: { type: 'object' },
+            languages: { type: 'array', items: { type: 'string' } },
+            senses: { type: 'object' },
+            biography: { type: 'string' },
+            damageResistances: DAMAGE_TYPE_LIST,
+            damageImmunities: DAMAGE_TYPE_LIST,
+            conditionImmunities: { type: 'array', items: { type: 'string' } },
+            skills: { type: 'object' },
+            items: { type: 'array', items: ACTOR_ITEM }
+        }
+    },
+
+    modify_actor: {
+        type: 'object',
+        required: ['uuid', 'changes'],
+        properties: {
+            uuid: { type: 'string', minLength: 1 },
+            changes: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    cr: { type: 'number', minimum: 0, maximum: 30 },
+                    abilities: ABILITY_SCORES,
+                    hp: {
+                        type: 'object',
+                        properties: {
+                            value: { type: 'integer', minimum: 0 },
+                            max: { type: 'integer', minimum: 1 },
+                            formula: { type: 'string' }
+                        }
+                    },
+                    ac: {
+                        type: 'object',
+                        properties: {
+                            value: { type: 'integer', minimum: 1, maximum: 30 },
+                            formula: { type: 'string' }
+                        }
+                    },
+                    speed: { type: 'object' },
+                    biography: { type: 'string' },
+                    languages: { type: 'array', items: { type: 'string' } },
+                    addItems: { type: 'array', items: ACTOR_ITEM },
+                    removeItems: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Fields of the open objects (speed, senses, skills, weapon properties), which a
+ * structured-output schema has to list. Matched by field name.
+ */
+const STRUCTURED_FIELDS = {
+    speed: {
+        type: 'object',
+        properties: {
+            walk: { type: 'number' },
+            fly: { type: 'number' },
+            swim: { type: 'number' },
+            climb: { type: 'number' },
+            burrow: { type: 'number' },
+            hover: { type: 'boolean' }
+        }
+    },
+    senses: {
+        type: 'object',
+        properties: {
+            darkvision: { type: 'number' },
+            blindsight: { type: 'number' },
+            tremorsense: { type: 'number' },
+            truesight: { type: 'number' }
+        }
+    },
+    skills: {
+        type: 'object',
+        properties: Object.fromEntries(SKILLS.map(s => [s, {
+            type: 'object',
+            required: ['proficient'],
+            properties: { proficient: { type: 'integer' } }
+        }]))
+    },
+    properties: { type: 'array', items: { type: 'string' } }
+};
+
+/**
+ * Validates RYOMA_CREATE payloads against the action schemas
+ */
+export class CreationValidator {
+    /**
+     * Validate a full creation block ({action, data})
+     * Fixes harmless differences in place (enum case, "1/4" CR) before checking.
+     * @param {Object} block - Parsed creation block
+     * @returns {Array<string>} Readable error messages (empty when valid)
+     */
+    static validate(block) {
+        if (!block || typeof block !== 'object' || Array.isArray(block)) {
+            return [game.i18n.localize('RYOMA.Validation.NotObject')];
+        }
+
+        if (!CREATION_ACTIONS.includes(block.action)) {
+            return [game.i18n.format('RYOMA.Validation.UnknownAction', {
+                action: block.action ?? '',
+                allowed: CREATION_ACTIONS.join(', ')
+            })];
+        }
+
+        if (block.data?.cr !== undefined) block.data.cr = this.parseCR(block.data.cr);
+        if (block.data?.changes?.cr !== undefined) block.data.changes.cr = this.parseCR(block.data.changes.cr);
+
+        const errors = [];
+        block.data = this.validateValue(block.data, CREATION_SCHEMAS[block.action], 'data', errors);
+        return errors;
+    }
+
+    /**
+     * Convert fractional CR strings ("1/4") to numbers
+     * @param {*} cr - CR value
+     * @returns {*} Numeric CR when convertible
+     */
+    static parseCR(cr) {
+        if (typeof cr !== 'string') return cr;
+        const fraction = cr.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+        if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+        const number = Number(cr);
+        return Number.isNaN(number) ? cr : number;
+    }
+
+    /**
+     * Validate a value against a schema node
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - Path used in messages
+     * @param {Array<string>} errors - Collected errors
+     * @returns {*} The value, possibly normalized
+     */
+    static validateValue(value, schema, path, errors) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+        if (schema.type && !types.some(t => this.matchesType(value, t))) {
+            errors.push(game.i18n.format('RYOMA.Validation.WrongType', {
+                path,
+                expected: types.join(' | '),
+                actual: this.describeType(value)
+            }));
+            return value;
+        }
+
+        if (schema.enum && typeof value === 'string') {
+            const normalized = value.trim().toLowerCase();
+            if (schema.enum.includes(normalized)) {
+                value = normalized;
+            } else {
+                errors.push(game.i18n.format('RYOMA.Validation.NotAllowed', {
+                    path,
+                    value,
+                    allowed: schema.enum.join(', ')
+                }));
+            }
+        }
+
+        if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+            errors.push(game.i18n.format('RYOMA.Validation.Empty', { path }));
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(game.i18n.format('RYOMA.Validation.TooSmall', { path, value, min: schema.minimum }));
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(game.i18n.format('RYOMA.Validation.TooLarge', { path, value, max: schema.maximum }));
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            return value.map((item, i) => this.validateValue(item, schema.items, `${path}[${i}]`, errors));
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(game.i18n.format('RYOMA.Validation.Missing', { path: `${path}.${key}` }));
+                }
+            }
+
+            for (const [key, child] of Object.entries(value)) {
+                const childSchema = schema.properties?.[key];
+                if (childSchema) {
+                    if (child !== undefined) value[key] = this.validateValue(child, childSchema, `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(game.i18n.format('RYOMA.Validation.UnknownField', {
+                        path: `${path}.${key}`,
+                        allowed: Object.keys(schema.properties || {}).join(', ')
+                    }));
+                }
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Check a value against a JSON schema type name
+     * @param {*} value - Value
+     * @param {string} type - JSON schema type
+     * @returns {boolean}
+     */
+    static matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return true;
+        }
+    }
+
+    /**
+     * Describe the JSON type of a value for error messages
+     * @param {*} value - Value
+     * @returns {string} Type name
+     */
+    static describeType(value) {
+        if (value === null) return 'null';
+        if (value === undefined) return 'undefined';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+}
+
+/**
+ * Provider-enforced JSON answers for creation requests: a recap for the GM plus the
+ * creation block ({action, data}), as an alternative to the RYOMA_CREATE markers
+ */
+export class StructuredOutput {
+    static SCHEMA_NAME = 'ryoma_creation';
+
+    /**
+     * Build the OpenAI-format response_format of a creation request
+     * @returns {Object} response_format
+     */
+    static buildResponseFormat() {
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: this.SCHEMA_NAME,
+                strict: true,
+                schema: this.buildResponseSchema()
+            }
+        };
+    }
+
+    /**
+     * Build the schema of the answer: recap text and an optional creation block
+     * @returns {Object} JSON schema
+     */
+    static buildResponseSchema() {
+        return {
+            type: 'object',
+            properties: {
+                recap: { type: 'string' },
+                creation: {
+                    anyOf: [
+                        ...CREATION_ACTIONS.map(action => ({
+                            type: 'object',
+                            properties: {
+                                action: { type: 'string', enum: [action] },
+                                data: this.toStrictSchema(CREATION_SCHEMAS[action])
+                            },
+                            required: ['action', 'data'],
+                            additionalProperties: false
+                        })),
+                        { type: 'null' }
+                    ]
+                }
+            },
+            required: ['recap', 'creation'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Convert a schema node to the strict subset of structured outputs: objects are closed
+     * and require every field (optional ones become nullable). Length and range limits
+     * are dropped, CreationValidator still checks them.
+     * @param {Object} schema - Schema node
+     * @param {boolean} nullable - Whether the field is optional
+     * @returns {Object} Strict schema node
+     */
+    static toStrictSchema(schema, nullable = false) {
+        const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+        const node = {};
+
+        if (schema.enum) node.enum = nullable ? [...schema.enum, null] : [...schema.enum];
+
+        if (types.includes('object')) {
+            const required = schema.required || [];
+            const properties = Object.entries(schema.properties || {});
+            node.properties = Object.fromEntries(properties.map(([key, child]) => [
+                key,
+                this.toStrictSchema(STRUCTURED_FIELDS[key] || child, !required.includes(key))
+            ]));
+            node.required = properties.map(([key]) => key);
+            node.additionalProperties = false;
+        }
+
+        if (types.includes('array')) node.items = this.toStrictSchema(schema.items || { type: 'string' });
+
+        if (nullable && !types.includes('null')) types.push('null');
+        return { type: types.length === 1 ? types[0] : types, ...node };
+    }
+
+    /**
+     * Read a structured answer
+     * @param {string} text - Response content
+     * @returns {Object|null} { recap, creation } without the nulls of unused fields,
+     *                        or null when the text is not a structured answer
+     */
+    static parse(text) {
+        const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        if (!trimmed.startsWith('{')) return null;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (e) {
+            return null;
+        }
+        if (!parsed || typeof parsed.recap !== 'string') return null;
+
+        return {
+            recap: parsed.recap.trim(),
+            creation: parsed.creation ? this.removeNulls(parsed.creation) : null
+        };
+    }
+
+    /**
+     * Drop the null fields the strict schema makes the model fill in
+     * @param {*} value - Parsed value
+     * @returns {*} Value without null object fields
+     */
+    static removeNulls(value) {
+        if (Array.isArray(value)) return value.map(item => this.removeNulls(item));
+        if (!value || typeof value !== 'object') return value;
+
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, child]) => child !== null)
+            .map(([key, child]) => [key, this.removeNulls(child)]));
+    }
+
+    /**
+     * Get the recap of a partial (streaming or truncated) structured answer
+     * @param {string} text - Text received so far
+     * @returns {{recap: string, complete: boolean}} Recap so far and whether it is finished
+     */
+    static extractRecap(text) {
+        const match = String(text || '').match(/^\s*\{\s*"recap"\s*:\s*"((?:[^"\\]|\\.)*)(")?/);
+        if (!match) return { recap: '', complete: false };
+
+        // Cut an escape sequence split across chunks before decoding
+        const body = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+        try {
+            return { recap: JSON.parse(`"${body}"`), complete: !!match[2] };
+        } catch (e) {
+            return { recap: '', complete: false };
+        }
+    }
+
+    /**
+     * Turn a streaming structured answer into the text shown while it is written:
+     * the recap so far, then the creation marker once the block is being written
+     * @param {string} text - Text received so far
+     * @returns {string} Text for the stream renderer
+     */
+    static toStreamText(text) {
+        if (!String(text || '').trimStart().startsWith('{')) return text;
+
+        const { recap, complete } = this.extractRecap(text);
+        const writingCreation = complete && /"creation"\s*:\s*\{/.test(text);
+        return writingCreation ? `${recap}\n\n---RYOMA_CREATE_START---` : recap;
+    }
+}
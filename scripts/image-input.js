@@ -0,0 +1,240 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Image Input - Pictures attached to a request (selected token or dropped image) for vision models
+ */
+
+import { MODULE_ID, getModelInfo } from './config.js';
+
+/**
+ * Collects the picture of a request and turns it into an OpenAI-format image part.
+ * Images are sent as downscaled data URLs, since the provider cannot read Foundry's files.
+ */
+export class ImageInput {
+    static MAX_DIMENSION = 1024; // Longest side sent to the model, in pixels
+    static JPEG_QUALITY = 0.85;
+    static ESTIMATED_TOKENS = 1100; // Rough cost of a 1024px image, reserved in the token budget
+    static IMAGE_FILE = /\.(png|jpe?g|webp|gif|avif|bmp|svg)(\?.*)?$/i;
+
+    /**
+     * Words that make a request use the selected token's image (Italian and English)
+     */
+    static REFERENCE_PATTERN = /(?<![\p{L}\d])(?:immagine|immagini|foto|ritratto|disegno|illustrazione|token|picture|image|photo|portrait|artwork)(?![\p{L}\d])/iu;
+
+    static pending = null; // { src, path, name } dropped on the chat and waiting for the next request
+
+    /**
+     * Listen for images dropped on the chat
+     */
+    static init() {
+        // Capture phase: runs before the chat log turns the drop into a link
+        document.addEventListener('drop', this.onDrop.bind(this), true);
+    }
+
+    /**
+     * Attach an image dropped on the chat input or log
+     * @param {DragEvent} event - Drop event
+     */
+    static onDrop(event) {
+        if (!event.target?.closest?.('.chat-form, #chat-message, #chat-log, .chat-log')) return;
+
+        const image = this.readDrop(event.dataTransfer);
+        if (!image) return;
+
+        // Decided synchronously, so the chat does not handle the drop too
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (!image.file) {
+            this.attach(image);
+            return;
+        }
+
+        this.readFile(image.file)
+            .then(src => this.attach({ src, path: null, name: image.name }))
+            .catch(error => ui.notifications.error(
+                game.i18n.format('RYOMA.Vision.LoadFailed', { name: image.name, error: error?.message || error })
+            ));
+    }
+
+    /**
+     * Recognize an image in drop data: a file, a Foundry file browser path or a web URL
+     * @param {DataTransfer} dataTransfer - Drop data
+     * @returns {Object|null} { file, name } for files, { src, path, name } otherwise, or null
+     */
+    static readDrop(dataTransfer) {
+        if (!dataTransfer) return null;
+
+        const file = [...(dataTransfer.files || [])].find(f => f.type.startsWith('image/'));
+        if (file) return { file, name: file.name };
+
+        // Files dragged from Foundry's file browser arrive as Tile data
+        const text = dataTransfer.getData('text/plain');
+        try {
+            const data = JSON.parse(text);
+            const src = data?.texture?.src || data?.src;
+            if (src && this.IMAGE_FILE.test(src)) {
+                return { src, path: src, name: src.split('/').pop() };
+            }
+            return null;
+        } catch (e) {
+            // Not Foundry drag data
+        }
+
+        const url = (dataTransfer.getData('text/uri-list') || text || '').split('\n')[0].trim();
+        if (/^https?:\/\//i.test(url) && this.IMAGE_FILE.test(url)) {
+            return { src: url, path: url, name: url.split('/').pop().split('?')[0] };
+        }
+        return null;
+    }
+
+    /**
+     * Read a dropped file as a data URL
+     * @param {File} file - Image file
+     * @returns {Promise<string>} Data URL
+     */
+    static readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Keep an image for the next request
+     * @param {Object} image - { src, path, name }
+     */
+    static attach(image) {
+        this.pending = image;
+        ui.notifications.info(game.i18n.format('RYOMA.Vision.Attached', { name: image.name }));
+    }
+
+    /**
+     * Get the image of a request: a dropped image first, otherwise the selected
+     * token's image when the message refers to a picture
+     * @param {string} message - User message
+     * @returns {Object|null} { src, path, name } or null
+     */
+    static resolve(message) {
+        if (this.pending) {
+            const image = this.pending;
+            this.pending = null;
+            return image;
+        }
+
+        if (!this.REFERENCE_PATTERN.test(message)) return null;
+        return this.fromSelectedToken();
+    }
+
+    /**
+     * Get the image of the first selected token
+     * @returns {Object|null} { src, path, name } or null
+     */
+    static fromSelectedToken() {
+        const token = canvas?.tokens?.controlled?.[0];
+        if (!token) return null;
+
+        const src = token.document.texture?.src || token.actor?.img;
+        if (!src) return null;
+        return { src, path: src, name: token.name };
+    }
+
+    /**
+     * Prepare an attached image for LLMClient
+     * @param {Object} image - { src, path, name }
+     * @returns {Promise<Object>} { url, path, name }
+     */
+    static async prepare(image) {
+        try {
+            return { url: await this.toDataUrl(image.src), path: image.path, name: image.name };
+        } catch (error) {
+            throw new Error(game.i18n.format('RYOMA.Vision.LoadFailed', { name: image.name, error: error.message }));
+        }
+    }
+
+    /**
+     * Prepare an image for the provider: Foundry files and data URLs are downscaled
+     * and re-encoded (webp and svg are not accepted everywhere), web URLs are sent as is
+     * @param {string} src - Image path, data URL or web URL
+     * @returns {Promise<string>} URL for the image part
+     */
+    static async toDataUrl(src) {
+        const remote = /^https?:\/\//i.test(src) && new URL(src).origin !== window.location.origin;
+        if (remote) return src;
+
+        const image = await this.loadImage(src);
+        const scale = Math.min(1, this.MAX_DIMENSION / Math.max(image.naturalWidth || 1, image.naturalHeight || 1));
+        const surface = document.createElement('canvas');
+        surface.width = Math.max(1, Math.round((image.naturalWidth || this.MAX_DIMENSION) * scale));
+        surface.height = Math.max(1, Math.round((image.naturalHeight || this.MAX_DIMENSION) * scale));
+
+        const context2d = surface.getContext('2d');
+        // JPEG has no transparency: paint a white background first
+        context2d.fillStyle = '#ffffff';
+        context2d.fillRect(0, 0, surface.width, surface.height);
+        context2d.drawImage(image, 0, 0, surface.width, surface.height);
+
+        console.log(`${MODULE_ID} | Image prepared: ${surface.width}x${surface.height}`);
+        return surface.toDataURL('image/jpeg', this.JPEG_QUALITY);
+    }
+
+    /**
+     * Load an image element
+     * @param {string} src - Image source
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(src.startsWith('data:') ? 'invalid image' : src));
+            image.src = src;
+        });
+    }
+
+    /**
+     * Build a user message content with text and image (OpenAI format)
+     * @param {string} text - Message text
+     * @param {string} url - Image URL or data URL
+     * @returns {Array<Object>} Content parts
+     */
+    static buildContent(text, url) {
+        return [
+            { type: 'text', text },
+            { type: 'image_url', image_url: { url } }
+        ];
+    }
+
+    /**
+     * Get the text of a message content (string or content parts)
+     * @param {string|Array} content - Message content
+     * @returns {string} Text
+     */
+    static getText(content) {
+        if (typeof content === 'string') return content;
+        if (!Array.isArray(content)) return '';
+        return content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+    }
+
+    /**
+     * Remove the images from messages, for models that cannot see them
+     * @param {Array} messages - Conversation messages
+     * @returns {Array} Messages with text-only content
+     */
+    static stripImages(messages) {
+        return messages.map(m => Array.isArray(m.content) && m.content.some(p => p.type === 'image_url')
+            ? { ...m, content: this.getText(m.content) }
+            : m);
+    }
+
+    /**
+     * Whether a model accepts images
+     * @param {string} model - Model identifier
+     * @returns {boolean|null} Known support, or null when unknown (local servers)
+     */
+    static supportsVision(model) {
+        return getModelInfo(model)?.supportsVision ?? null;
+    }
+}
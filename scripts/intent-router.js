@@ -0,0 +1,173 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Intent Router - Classify requests and route them to a model and context
+ */
+
+import { MODULE_ID, getSetting, getModel } from './config.js';
+
+/**
+ * Build a case-insensitive whole-word pattern that also respects accented letters
+ * (\b treats "à" as a non-word character)
+ * @param {string} alternatives - Regex alternation of words
+ * @returns {RegExp}
+ */
+function words(alternatives) {
+    return new RegExp(`(?<![\\p{L}\\d])(?:${alternatives})(?![\\p{L}\\d])`, 'iu');
+}
+
+/**
+ * Classifies user requests (chat, rules, lookup, create, modify, encounter)
+ * with local rules, optionally confirmed by the cheap model when unsure
+ */
+export class IntentRouter {
+    static INTENTS = ['chat', 'rules', 'lookup', 'create', 'modify', 'encounter'];
+    static CONFIDENCE_THRESHOLD = 0.6; // Below this the LLM classifier is consulted (if enabled)
+
+    /**
+     * What each intent needs: expensive model, tools, which context sections,
+     * and whether the answer is a structured creation (for models that support it)
+     */
+    static ROUTES = {
+        chat: { complex: false, tools: false, party: true, compendiums: false, partySummary: false, creationGuide: false, structured: false },
+        rules: { complex: false, tools: true, party: false, compendiums: false, partySummary: false, creationGuide: false, structured: false },
+        lookup: { complex: false, tools: true, party: false, compendiums: true, partySummary: false, creationGuide: false, structured: false },
+        create: { complex: true, tools: true, party: true, compendiums: true, partySummary: false, creationGuide: true, structured: true },
+        modify: { complex: true, tools: true, party: true, compendiums: true, partySummary: false, creationGuide: true, structured: true },
+        encounter: { complex: true, tools: true, party: true, compendiums: true, partySummary: true, creationGuide: true, structured: false }
+    };
+
+    /**
+     * Weighted whole-word patterns per intent (Italian and English)
+     */
+    static RULES = {
+        create: [
+            { pattern: words('crea|creami|creare|genera|generami|costruisci|inventa|inventami|prepara(?:mi)?|create|generate|make|build'), weight: 3 },
+            { pattern: words('npc|png|mostr[oi]|nemic[oi]|boss|personaggi?o?|arma|armi|spada|oggett[oi]|incantesim[oi]|spell|item|monster'), weight: 0.5 }
+        ],
+        modify: [
+            { pattern: words('modifica|modificami|cambia|aggiungi|rimuovi|togli|potenzia|indebolisci|aumenta|diminuisci|alza|abbassa|modify|change|add|remove|buff|nerf'), weight: 3 }
+        ],
+        encounter: [
+            { pattern: words('scontr[oi]|incontr[oi]|combattiment[oi]|imboscat[ae]|encounter|fight'), weight: 2.5 },
+            { pattern: words('bilanci\\w*|budget|pe|xp|difficolt[aà]|mortale|letale|deadly|hard'), weight: 1 }
+        ],
+        rules: [
+            { pattern: words('regol[ae]|come funziona|funziona|si pu[oò]|posso|vantaggio|svantaggio|tiro salvezza|tiri salvezza|concentrazione|azione bonus|reazione|attacco di opportunit[aà]|condizion[ei]|rules?|how does'), weight: 2 }
+        ],
+        lookup: [
+            { pattern: words('cerca|cercami|suggerisci|suggeriscimi|proponi|proponimi|trova|trovami|elenca|mostrami|dammi|lista|elenco|quali|statistiche|scheda|stat ?block|search|find|list|show'), weight: 2 }
+        ],
+        chat: [
+            { pattern: words('ciao|grazie|salve|buongiorno|buonasera|cosa ne pensi|che ne pensi|consiglio|consigli|idea|idee|hello|thanks'), weight: 1.5 }
+        ]
+    };
+
+    /**
+     * Classify a message
+     * @param {string} message - User message
+     * @returns {Promise<Object>} { intent, confidence, source, route }
+     */
+    static async classify(message) {
+        const result = this.classifyWithRules(message);
+
+        if (result.confidence < this.CONFIDENCE_THRESHOLD && getSetting('intentClassifier') === 'llm') {
+            try {
+                const llmResult = await this.classifyWithLLM(message);
+                if (llmResult) return llmResult;
+            } catch (error) {
+                console.warn(`${MODULE_ID} | LLM intent classification failed, using rules:`, error);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Classify with local weighted rules
+     * @param {string} message - User message
+     * @returns {Object} { intent, confidence, source, route, scores }
+     */
+    static classifyWithRules(message) {
+        const scores = Object.fromEntries(this.INTENTS.map(i => [i, 0]));
+
+        for (const [intent, rules] of Object.entries(this.RULES)) {
+            for (const rule of rules) {
+                if (rule.pattern.test(message)) scores[intent] += rule.weight;
+            }
+        }
+
+        // Nouns alone ("l'arma di Thorin") are not a creation request
+        if (scores.create < 3) scores.create = 0;
+        // "Crea uno scontro" is an encounter, not a single creation
+        if (scores.encounter >= 2.5 && scores.create >= 3) scores.encounter += 1;
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const [topIntent, topScore] = ranked[0];
+        const secondScore = ranked[1][1];
+
+        if (topScore === 0) {
+            return this.buildResult('chat', 0.5, 'rules', scores);
+        }
+
+        // Strong signal with a clear margin = confident
+        const margin = topScore - secondScore;
+        let confidence = 0.4;
+        if (topScore >= 2.5 && margin >= 1) confidence = 0.9;
+        else if ((topScore >= 2 && margin >= 0.5) || (secondScore === 0 && topScore >= 1.5)) confidence = 0.7;
+        else if (margin > 0) confidence = 0.55;
+
+        return this.buildResult(topIntent, confidence, 'rules', scores);
+    }
+
+    /**
+     * Ask the cheap model to classify the message
+     * @param {string} message - User message
+     * @returns {Promise<Object|null>} Classification, or null if unusable
+     */
+    static async classifyWithLLM(message) {
+        const { LLMClient } = await import('./llm-client.js');
+
+        const response = await LLMClient.chat([
+            // Written in the module language (lang files)
+            { role: 'system', content: game.i18n.localize('RYOMA.Router.ClassifierPrompt') },
+            { role: 'user', content: message }
+        ], { model: getModel(false), temperature: 0.01, maxTokens: 50, noFallback: true });
+
+        const text = response.choices?.[0]?.message?.content || '';
+        const match = text.match(/\{[\s\S]*\}/);
+        if (!match) return null;
+
+        const parsed = JSON.parse(match[0]);
+        if (!this.INTENTS.includes(parsed.intent)) return null;
+
+        const confidence = Math.max(0, Math.min(1, Number(parsed.confidence) || 0.7));
+        return this.buildResult(parsed.intent, confidence, 'llm');
+    }
+
+    /**
+     * Build a classification result with its route
+     * @param {string} intent - Intent
+     * @param {number} confidence - Confidence 0-1
+     * @param {string} source - 'rules' or 'llm'
+     * @param {Object} scores - Rule scores, for debugging
+     * @returns {Object} Classification
+     */
+    static buildResult(intent, confidence, source, scores = null) {
+        return {
+            intent,
+            confidence,
+            source,
+            route: this.getRoute(intent),
+            scores
+        };
+    }
+
+    /**
+     * Get the route for an intent
+     * @param {string} intent - Intent
+     * @returns {Object} Route
+     */
+    static getRoute(intent) {
+        return { ...(this.ROUTES[intent] || this.ROUTES.chat) };
+    }
+}
@@ -44,7 +44,7 @@ export class ItemManager {
      */
     static buildItemData(data) {
         const itemData = {
-            name: data.name || 'Nuovo Item',
+            name: data.name || game.i18n.localize('RYOMA.Actions.NewItem'),
             type: data.type || 'loot',
             img: data.img || this.getDefaultIcon(data.type),
             system: {
@@ -414,6 +414,8 @@ export class ItemManager {
 
     /**
      * Build a recap for confirmation dialog
+     * @param {Object} data - Item data from LLM
+     * @returns {Object} Recap for confirmation dialog
      */
     static buildCreationRecap(data) {
         const recap = {
@@ -423,27 +425,31 @@ export class ItemManager {
             details: []
         };
 
-        if (data.type === 'weapon') {
-            if (data.damage?.parts?.[0]) {
-                recap.details.push({
-                    label: 'Danno',
-                    value: data.damage.parts.map(p => `${p[0]} ${p[1]}`).join(' + ')
-                });
-            }
+        // Damage as in the creation schema ([{formula, type}]) or as dnd5e parts
+        const damage = Array.isArray(data.damage)
+            ? data.damage.map(d => `${d.formula} ${d.type}`)
+            : (data.damage?.parts || []).map(p => `${p[0]} ${p[1]}`);
+        if (damage.length > 0) {
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Damage'), value: damage.join(' + ') });
         }
 
         if (data.type === 'spell') {
-            recap.details.push({ label: 'Livello', value: data.level || 0 });
-            if (data.school) recap.details.push({ label: 'Scuola', value: data.school });
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Level'), value: data.level || 0 });
+            if (data.school) recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.School'), value: data.school });
         }
 
         if (data.type === 'equipment' && data.ac) {
-            recap.details.push({ label: 'CA', value: data.ac });
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.AC'), value: data.ac });
+        }
+
+        if (data.targetActorUuid) {
+            const actor = fromUuidSync(data.targetActorUuid);
+            recap.details.push({ label: game.i18n.localize('RYOMA.Confirmation.Target'), value: actor?.name || data.targetActorUuid });
         }
 
         if (data.description) {
             recap.details.push({
-                label: 'Descrizione',
+                label: game.i18n.localize('RYOMA.Confirmation.Description'),
                 value: data.description.substring(0, 100) + (data.description.length > 100 ? '...' : '')
             });
         }
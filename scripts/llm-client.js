@@ -1,213 +1,647 @@
 /**
  * Fuori D20: Ryoma Assistant
- * OpenRouter LLM Client
+ * LLM Client
  */
 
-import { MODULE_ID, OPENROUTER_API_URL, getSetting, getModel, getModelDisplayName, LLM_MODELS } from './config.js';
+import { MODULE_ID, getSetting, getModel, getModelInfo, getModelDisplayName, getProvider, getProviderBaseUrl, getFallbackModels } from './config.js';
+import { RyomaTools } from './ryoma-tools.js';
+import { UsageLedger } from './usage-ledger.js';
+import { CreationValidator, StructuredOutput } from './creation-schema.js';
+import { TokenBudget } from './token-budget.js';
+import { IntentRouter } from './intent-router.js';
+import { PromptTemplates } from './prompt-templates.js';
+import { PersonaRegistry } from './persona-registry.js';
+import { MockProvider } from './mock-provider.js';
+import { ImageInput } from './image-input.js';
 
 /**
- * Client for OpenRouter API
+ * Client for the configured LLM provider (OpenRouter, OpenAI, Anthropic or a local server)
  */
 export class LLMClient {
+    static MAX_TOOL_ROUNDS = 5; // Tool-call round trips before forcing a final answer
+    static MAX_REPAIR_ATTEMPTS = 2; // Requests for a corrected RYOMA_CREATE block
+    static TRANSIENT_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+    static BACKOFF_BASE_MS = 1000;
+    static BACKOFF_MAX_MS = 20000;
+
     /**
      * Create the system prompt for Ryoma
      * @param {Object} context - Context information
      * @returns {string} System prompt
      */
     static buildSystemPrompt(context = {}) {
-        let prompt = `Sei Ryoma, l'assistente arcano del gruppo "Fuori D20". Sei un saggio consigliere per il Master di una campagna D&D 5e.
-
-REGOLE FONDAMENTALI:
-- Parli SEMPRE in italiano
-- Sei esperto di D&D 5e e delle sue regole
-- Sei amichevole, saggio e leggermente misterioso nel tono
-
-QUANDO TI VIENE CHIESTO DI CREARE QUALCOSA:
-Rispondi con un recap in italiano e poi un blocco JSON speciale con i marcatori:
-
----RYOMA_CREATE_START---
-{JSON}
----RYOMA_CREATE_END---
-
-=== STRUTTURA PER ARMA (weapon) ===
-{
-  "action": "create_item",
-  "data": {
-    "name": "Spada Infuocata",
-    "type": "weapon",
-    "description": "Una spada avvolta da fiamme arcane.",
-    "actionType": "mwak",
-    "damage": [
-      {"formula": "2d8", "type": "slashing"},
-      {"formula": "2d8", "type": "fire"}
-    ],
-    "save": {
-      "ability": "con",
-      "dc": 15,
-      "effect": "prono"
-    },
-    "range": {"value": 5, "units": "ft"},
-    "properties": ["magical"]
-  }
-}
-
-=== STRUTTURA PER INCANTESIMO (spell) ===
-{
-  "action": "create_item",
-  "data": {
-    "name": "Testfuoco",
-    "type": "spell",
-    "description": "Un devastante incantesimo di fuoco.",
-    "level": 3,
-    "school": "evo",
-    "actionType": "save",
-    "damage": [
-      {"formula": "8d6", "type": "fire"}
-    ],
-    "save": {
-      "ability": "dex",
-      "effect": "half"
-    },
-    "range": {"value": 120, "units": "ft"},
-    "target": {"value": 20, "units": "ft", "type": "sphere"},
-    "components": {"vocal": true, "somatic": true, "material": false}
-  }
-}
-
-=== STRUTTURA PER ACTOR (NPC/Mostro) ===
-{
-  "action": "create_actor",
-  "data": {
-    "name": "Goblin Arciere",
-    "type": "npc",
-    "cr": 0.25,
-    "size": "sm",
-    "creatureType": "humanoid",
-    "abilities": {"str": 8, "dex": 14, "con": 10, "int": 10, "wis": 8, "cha": 8},
-    "hp": {"max": 7, "formula": "2d6"},
-    "ac": {"value": 15},
-    "speed": {"walk": 30},
-    "languages": ["Common", "Goblin"],
-    "senses": {"darkvision": 60},
-    "biography": "Un piccolo goblin armato di arco.",
-    "items": [
-      {"type": "spell", "name": "Passo velato", "fromCompendium": true},
-      {"type": "weapon", "name": "Arco corto", "fromCompendium": true},
-      {"type": "weapon", "name": "Lama Infuocata", "custom": {
-        "description": "Una lama avvolta dal fuoco",
-        "damage": [{"formula": "1d6", "type": "slashing"}, {"formula": "1d6", "type": "fire"}],
-        "actionType": "mwak",
-        "save": {"ability": "con", "dc": 12, "effect": "prono"}
-      }},
-      {"type": "spell", "name": "Fiamma Maledetta", "custom": {
-        "description": "Un incantesimo oscuro che brucia l'anima",
-        "level": 2,
-        "school": "nec",
-        "damage": [{"formula": "3d8", "type": "fire"}, {"formula": "2d6", "type": "necrotic"}],
-        "actionType": "save",
-        "save": {"ability": "dex", "effect": "half"},
-        "range": {"value": 60, "units": "ft"}
-      }}
-    ]
-  }
-}
-
-=== REGOLE IMPORTANTI ===
-TIPI DI DANNO: acid, bludgeoning, cold, fire, force, lightning, necrotic, piercing, poison, psychic, radiant, slashing, thunder
-ABILITÀ TIRI SALVEZZA: str, dex, con, int, wis, cha
-ACTION TYPES: mwak (mischia arma), rwak (distanza arma), msak (mischia incantesimo), rsak (distanza incantesimo), save (tiro salvezza)
-SCUOLE MAGIA: abj, con, div, enc, evo, ill, nec, trs
+        return PromptTemplates.build(context);
+    }
 
-PER ITEMS DAI COMPENDI: usa {"name": "Nome esatto", "fromCompendium": true}
-PER ITEMS CUSTOM: usa {"name": "Nome", "custom": {...tutti i dati...}}`;
+    /**
+     * Send a chat message to the configured provider, retrying transient failures
+     * and walking the fallback model chain
+     * @param {Array} messages - Conversation messages (OpenAI format)
+     * @param {Object} options - Additional options (signal cancels the request, responseFormat is
+     *                           sent to the models that support structured output, toolChoice
+     *                           'none' keeps the tools defined but forbids calling them)
+     * @returns {Promise<Object>} API response normalized to the OpenAI format
+     */
+    static async chat(messages, options = {}) {
+        const provider = getProvider();
+        const apiKey = getSetting('apiKey');
+        if (provider.authScheme !== 'none' && !apiKey) {
+            throw new Error(game.i18n.localize('RYOMA.Chat.NoApiKey'));
+        }
 
-        // Add party context
-        if (context.party && context.party.length > 0) {
-            prompt += `\n\nPARTY (${context.party.length} membri, livello medio: ${context.averageLevel || 'N/D'}):`;
-            for (const member of context.party) {
-                prompt += `\n- ${member.name}: ${member.class || 'N/D'} Lv${member.level || '?'}`;
+        const isComplex = options.isComplex || false;
+        let primary = options.model || getModel(isComplex);
+
+        // Spending caps: block the request or switch to the cheapest model
+        const budget = UsageLedger.checkBudget();
+        let budgetDowngraded = false;
+        if (budget.exceeded) {
+            const data = {
+                period: game.i18n.localize(`RYOMA.Usage.Period.${budget.period}`),
+                spent: budget.spent.toFixed(2),
+                limit: budget.limit.toFixed(2)
+            };
+            if (getSetting('budgetAction') === 'block') {
+                throw new Error(game.i18n.format('RYOMA.Usage.BudgetBlocked', data));
+            }
+            const downgrade = UsageLedger.getDowngradeModel();
+            if (downgrade !== primary) {
+                console.warn(`${MODULE_ID} | Budget exceeded, downgrading ${primary} -> ${downgrade}`);
+                primary = downgrade;
+                budgetDowngraded = true;
             }
         }
 
-        // Add compendium context
-        if (context.compendiums && Object.keys(context.compendiums).length > 0) {
-            prompt += `\n\nCOMPENDI DISPONIBILI:`;
-            for (const [category, packs] of Object.entries(context.compendiums)) {
-                if (packs && packs.length > 0) {
-                    prompt += `\n- ${category}: ${packs.join(', ')}`;
+        const chain = options.noFallback ? [primary] : [primary, ...getFallbackModels(primary)];
+        const maxRetries = Math.max(0, Number(getSetting('maxRetries')) || 0);
+        let lastError;
+
+        for (const model of chain) {
+            for (let attempt = 0; attempt <= maxRetries; attempt++) {
+                this.throwIfCancelled(options.signal);
+                try {
+                    // Fallback models known to be text-only still answer, without the picture
+                    const payload = ImageInput.supportsVision(model) === false ? ImageInput.stripImages(messages) : messages;
+                    // Fallback models without structured output read the answer format from the prompt
+                    const responseFormat = this.supportsStructuredOutput(model) ? options.responseFormat : undefined;
+                    const data = await this.requestOnce(provider, apiKey, model, payload, { ...options, responseFormat });
+                    data.structuredOutput = !!responseFormat;
+                    if (model !== primary) {
+                        data.fallbackFrom = primary;
+                        data.fallbackFromDisplayName = getModelDisplayName(primary);
+                    }
+                    data.budgetDowngraded = budgetDowngraded;
+                    data.cost = UsageLedger.estimateCost(model, data.usage);
+                    await UsageLedger.record(data);
+                    return data;
+                } catch (error) {
+                    // A cancelled request is not retried nor sent to the fallback models
+                    if (error.cancelled) throw error;
+
+                    lastError = error;
+                    console.warn(`${MODULE_ID} | ${model} attempt ${attempt + 1} failed:`, error.message);
+
+                    // Non-transient errors (bad request, auth) won't improve with a retry
+                    if (!error.transient) break;
+                    if (attempt < maxRetries) {
+                        await this.sleep(this.getBackoffDelay(attempt, error.retryAfter), options.signal);
+                    }
                 }
             }
+
+            // Authentication problems affect every model of the provider
+            if (lastError?.status === 401 || lastError?.status === 403) break;
         }
 
-        return prompt;
+        console.error(`${MODULE_ID} | LLM API Error (${provider.name}):`, lastError);
+        throw lastError;
     }
 
     /**
-     * Send a chat message to OpenRouter
+     * Perform a single HTTP request against one model
+     * @param {Object} provider - Provider definition
+     * @param {string} apiKey - API key
+     * @param {string} model - Model identifier
      * @param {Array} messages - Conversation messages
-     * @param {Object} options - Additional options
-     * @returns {Promise<Object>} API response
+     * @param {Object} options - Chat options
+     * @returns {Promise<Object>} Normalized response
      */
-    static async chat(messages, options = {}) {
-        const apiKey = getSetting('apiKey');
-        if (!apiKey) {
-            throw new Error(game.i18n.localize('RYOMA.Chat.NoApiKey'));
+    static async requestOnce(provider, apiKey, model, messages, options = {}) {
+        if (provider.format === 'mock') {
+            return this.requestMock(provider, model, messages, options);
         }
 
-        const isComplex = options.isComplex || false;
-        const model = options.model || getModel(isComplex);
-
-        const requestBody = {
-            model: model,
-            messages: messages,
-            temperature: options.temperature || 0.7,
-            max_tokens: options.maxTokens || 4096
+        const stream = typeof options.onDelta === 'function';
+        const request = this.buildRequest(provider, model, messages, { ...options, stream });
+
+        // The timeout covers the wait for the response; while streaming it restarts on every chunk
+        const timeoutMs = Math.max(1, Number(getSetting('requestTimeout')) || 90) * 1000;
+        const controller = new AbortController();
+        const onCancel = () => controller.abort();
+        let timer = null;
+        let timedOut = false;
+        const armTimeout = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs);
         };
 
+        // The caller's signal (ChatHandler cancel) aborts the same request
+        options.signal?.addEventListener('abort', onCancel, { once: true });
+        armTimeout();
         try {
-            const response = await fetch(OPENROUTER_API_URL, {
+            const response = await fetch(request.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'HTTP-Referer': window.location.origin,
-                    'X-Title': 'Fuori D20: Ryoma Assistant'
-                },
-                body: JSON.stringify(requestBody)
+                headers: this.buildHeaders(provider, apiKey),
+                body: JSON.stringify(request.body),
+                signal: controller.signal
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.transient = this.TRANSIENT_STATUSES.includes(response.status);
+                error.retryAfter = Number(response.headers.get('retry-after')) || null;
+                throw error;
             }
 
-            const data = await response.json();
+            const data = stream
+                ? await this.readStream(provider, response, options.onDelta, armTimeout)
+                : this.normalizeResponse(provider, await response.json());
             data.modelUsed = model;
             data.modelDisplayName = getModelDisplayName(model);
+            data.provider = provider.id;
+
+            if (MockProvider.isRecording()) MockProvider.record(messages, data);
+            return data;
+        } catch (error) {
+            if (options.signal?.aborted) throw this.createCancelledError();
+            if (error.status && MockProvider.isRecording()) MockProvider.record(messages, null, error);
+            if (timedOut) {
+                const timeoutError = new Error(game.i18n.format('RYOMA.Chat.Timeout', { seconds: timeoutMs / 1000 }));
+                timeoutError.transient = true;
+                throw timeoutError;
+            }
+            // fetch rejects with a TypeError on network failures
+            if (error instanceof TypeError) error.transient = true;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onCancel);
+        }
+    }
 
+    /**
+     * Answer from the mock provider's fixture, with the same error semantics as a real request
+     * @param {Object} provider - Mock provider definition
+     * @param {string} model - Model identifier
+     * @param {Array} messages - Conversation messages
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Response normalized to the OpenAI format
+     */
+    static async requestMock(provider, model, messages, options = {}) {
+        try {
+            const data = await MockProvider.respond(model, messages, options);
+            data.modelUsed = model;
+            data.modelDisplayName = getModelDisplayName(model);
+            data.provider = provider.id;
             return data;
         } catch (error) {
-            console.error(`${MODULE_ID} | LLM API Error:`, error);
+            if (options.signal?.aborted) throw this.createCancelledError();
+            if (error.status) error.transient = this.TRANSIENT_STATUSES.includes(error.status);
             throw error;
         }
     }
 
+    /**
+     * Build the error thrown when the user cancels a request
+     * @returns {Error} Error flagged as cancelled
+     */
+    static createCancelledError() {
+        const error = new Error(game.i18n.localize('RYOMA.Chat.Cancelled'));
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Throw if the request was cancelled
+     * @param {AbortSignal} signal - Cancel signal
+     */
+    static throwIfCancelled(signal) {
+        if (signal?.aborted) throw this.createCancelledError();
+    }
+
+    /**
+     * Exponential backoff with jitter, honouring Retry-After when the server sends it
+     * @param {number} attempt - Zero-based attempt number
+     * @param {number|null} retryAfter - Retry-After header in seconds
+     * @returns {number} Delay in milliseconds
+     */
+    static getBackoffDelay(attempt, retryAfter = null) {
+        if (retryAfter) return Math.min(retryAfter * 1000, this.BACKOFF_MAX_MS);
+        const delay = this.BACKOFF_BASE_MS * Math.pow(2, attempt);
+        return Math.min(delay + Math.random() * this.BACKOFF_BASE_MS, this.BACKOFF_MAX_MS);
+    }
+
+    /**
+     * Wait for a number of milliseconds, ending early if the request is cancelled
+     * @param {number} ms - Milliseconds
+     * @param {AbortSignal} signal - Cancel signal
+     * @returns {Promise<void>}
+     */
+    static sleep(ms, signal = null) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Build HTTP headers for a provider
+     * @param {Object} provider - Provider definition
+     * @param {string} apiKey - API key
+     * @returns {Object} Headers
+     */
+    static buildHeaders(provider, apiKey) {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (provider.authScheme === 'bearer') {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        } else if (provider.authScheme === 'x-api-key') {
+            headers['x-api-key'] = apiKey;
+        } else if (apiKey) {
+            // Local servers usually ignore auth, but some (LM Studio, llama.cpp --api-key) accept a bearer token
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        return { ...headers, ...(provider.headers?.() || {}) };
+    }
+
+    /**
+     * Build the request URL and body in the provider's dialect
+     * @param {Object} provider - Provider definition
+     * @param {string} model - Model identifier
+     * @param {Array} messages - Conversation messages (OpenAI format)
+     * @param {Object} options - Request options
+     * @returns {{url: string, body: Object}}
+     */
+    static buildRequest(provider, model, messages, options = {}) {
+        const baseUrl = getProviderBaseUrl();
+        const temperature = options.temperature || 0.7;
+        const maxTokens = options.maxTokens || 4096;
+
+        if (provider.format === 'anthropic') {
+            // The Messages API takes the system prompt separately
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            return {
+                url: `${baseUrl}/messages`,
+                body: {
+                    model: model,
+                    system: system || undefined,
+                    messages: this.toAnthropicMessages(messages.filter(m => m.role !== 'system')),
+                    temperature: temperature,
+                    max_tokens: maxTokens,
+                    stream: options.stream || undefined,
+                    tools: options.tools?.map(t => ({
+                        name: t.function.name,
+                        description: t.function.description,
+                        input_schema: t.function.parameters
+                    })),
+                    tool_choice: options.tools?.length ? { type: options.toolChoice || 'auto' } : undefined
+                }
+            };
+        }
+
+        const body = {
+            model: model,
+            messages: messages,
+            temperature: temperature,
+            max_tokens: maxTokens
+        };
+
+        if (options.tools?.length) {
+            body.tools = options.tools;
+            body.tool_choice = options.toolChoice || 'auto';
+        }
+
+        if (options.responseFormat) {
+            body.response_format = options.responseFormat;
+        }
+
+        if (options.stream) {
+            body.stream = true;
+            // Ask for a final usage chunk where the server supports it
+            if (provider.streamUsage !== false) {
+                body.stream_options = { include_usage: true };
+            }
+        }
+
+        return { url: `${baseUrl}/chat/completions`, body };
+    }
+
+    /**
+     * Convert OpenAI-format messages (including tool calls and results) to Anthropic content blocks
+     * @param {Array} messages - Non-system messages
+     * @returns {Array} Anthropic messages
+     */
+    static toAnthropicMessages(messages) {
+        const result = [];
+
+        for (const msg of messages) {
+            if (msg.role === 'tool') {
+                const block = { type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content };
+                // Consecutive tool results belong to the same user turn
+                const last = result[result.length - 1];
+                if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+                    last.content.push(block);
+                } else {
+                    result.push({ role: 'user', content: [block] });
+                }
+                continue;
+            }
+
+            if (msg.role === 'assistant' && msg.tool_calls?.length) {
+                const content = [];
+                if (msg.content) content.push({ type: 'text', text: msg.content });
+                for (const call of msg.tool_calls) {
+                    let input = {};
+                    try {
+                        input = JSON.parse(call.function.arguments || '{}');
+                    } catch (e) {
+                        // Leave empty input; the tool result will report the problem
+                    }
+                    content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+                }
+                result.push({ role: 'assistant', content });
+                continue;
+            }
+
+            result.push({
+                role: msg.role,
+                content: Array.isArray(msg.content) ? msg.content.map(part => this.toAnthropicBlock(part)) : msg.content
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert an OpenAI content part (text or image) to an Anthropic content block
+     * @param {Object} part - Content part
+     * @returns {Object} Anthropic block
+     */
+    static toAnthropicBlock(part) {
+        if (part.type !== 'image_url') return part;
+
+        const url = part.image_url?.url || '';
+        const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+        return dataUrl
+            ? { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } }
+            : { type: 'image', source: { type: 'url', url } };
+    }
+
+    /**
+     * Read a server-sent-event stream and accumulate it into a normalized response
+     * @param {Object} provider - Provider definition
+     * @param {Response} response - Fetch response with a streaming body
+     * @param {Function} onDelta - Called with each new text fragment
+     * @param {Function} onActivity - Called whenever a chunk arrives
+     * @returns {Promise<Object>} Normalized response
+     */
+    static async readStream(provider, response, onDelta, onActivity = null) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const state = { id: null, content: '', finishReason: null, usage: undefined, toolCalls: [] };
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            onActivity?.();
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.substring(5).trim();
+                if (!payload || payload === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    continue; // Keep-alive comments or partial garbage
+                }
+
+                if (event.error) {
+                    throw new Error(event.error.message || JSON.stringify(event.error));
+                }
+
+                const text = this.applyStreamEvent(provider, event, state);
+                if (text) {
+                    state.content += text;
+                    onDelta(text, state.content);
+                }
+            }
+        }
+
+        const message = { role: 'assistant', content: state.content };
+        const toolCalls = state.toolCalls.filter(Boolean);
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+
+        return {
+            id: state.id,
+            choices: [{
+                message,
+                finish_reason: state.finishReason || 'stop'
+            }],
+            usage: state.usage
+        };
+    }
+
+    /**
+     * Apply one stream event to the accumulated state
+     * @param {Object} provider - Provider definition
+     * @param {Object} event - Parsed SSE data payload
+     * @param {Object} state - Accumulated stream state
+     * @returns {string} New text fragment, if any
+     */
+    static applyStreamEvent(provider, event, state) {
+        if (provider.format === 'anthropic') {
+            switch (event.type) {
+                case 'message_start':
+                    state.id = event.message?.id;
+                    state.usage = {
+                        prompt_tokens: event.message?.usage?.input_tokens || 0,
+                        completion_tokens: 0,
+                        total_tokens: event.message?.usage?.input_tokens || 0
+                    };
+                    return '';
+                case 'content_block_start':
+                    if (event.content_block?.type === 'tool_use') {
+                        state.toolCalls[event.index] = {
+                            id: event.content_block.id,
+                            type: 'function',
+                            function: { name: event.content_block.name, arguments: '' }
+                        };
+                    }
+                    return '';
+                case 'content_block_delta':
+                    if (event.delta?.type === 'input_json_delta') {
+                        const call = state.toolCalls[event.index];
+                        if (call) call.function.arguments += event.delta.partial_json || '';
+                        return '';
+                    }
+                    return event.delta?.type === 'text_delta' ? event.delta.text : '';
+                case 'message_delta':
+                    if (event.delta?.stop_reason) {
+                        state.finishReason = this.mapAnthropicStopReason(event.delta.stop_reason);
+                    }
+                    if (event.usage && state.usage) {
+                        state.usage.completion_tokens = event.usage.output_tokens;
+                        state.usage.total_tokens = state.usage.prompt_tokens + event.usage.output_tokens;
+                    }
+                    return '';
+                default:
+                    return '';
+            }
+        }
+
+        state.id = state.id || event.id;
+        if (event.usage) state.usage = event.usage;
+
+        const choice = event.choices?.[0];
+        if (!choice) return '';
+        if (choice.finish_reason) state.finishReason = choice.finish_reason;
+
+        // Tool call fragments arrive keyed by index, arguments split across chunks
+        for (const fragment of choice.delta?.tool_calls || []) {
+            const index = fragment.index ?? state.toolCalls.length;
+            const call = state.toolCalls[index] ||= {
+                id: fragment.id,
+                type: 'function',
+                function: { name: '', arguments: '' }
+            };
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+
+        return choice.delta?.content || '';
+    }
+
+    /**
+     * Map an Anthropic stop reason to the OpenAI finish reason
+     * @param {string} stopReason - Anthropic stop reason
+     * @returns {string} Finish reason
+     */
+    static mapAnthropicStopReason(stopReason) {
+        if (stopReason === 'max_tokens') return 'length';
+        if (stopReason === 'tool_use') return 'tool_calls';
+        return 'stop';
+    }
+
+    /**
+     * Convert a provider response to the OpenAI chat completion shape
+     * @param {Object} provider - Provider definition
+     * @param {Object} data - Raw response body
+     * @returns {Object} Normalized response
+     */
+    static normalizeResponse(provider, data) {
+        if (provider.format !== 'anthropic') return data;
+
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        const message = { role: 'assistant', content: text };
+        const toolCalls = (data.content || [])
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+            }));
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+
+        return {
+            id: data.id,
+            choices: [{
+                message,
+                finish_reason: this.mapAnthropicStopReason(data.stop_reason)
+            }],
+            usage: data.usage ? {
+                prompt_tokens: data.usage.input_tokens,
+                completion_tokens: data.usage.output_tokens,
+                total_tokens: data.usage.input_tokens + data.usage.output_tokens
+            } : undefined
+        };
+    }
+
     /**
      * Process a user message with full context
      * @param {string} userMessage - The user's message
      * @param {Object} context - Context object
+     * @param {Object} options - Options (intent from IntentRouter, persona answering, image { url, name } for vision models,
+     *                           onDelta enables streaming, onToolCall reports tool activity)
      * @returns {Promise<Object>} Processed response
      */
-    static async processMessage(userMessage, context = {}) {
+    static async processMessage(userMessage, context = {}, options = {}) {
         const messages = [];
+        const intent = options.intent || IntentRouter.classifyWithRules(userMessage);
+        const route = intent.route;
+        const isComplex = route.complex;
+        const persona = options.persona || PersonaRegistry.getDefault();
+        const image = options.image || null;
+        const model = image ? this.getVisionModel(persona, isComplex) : PersonaRegistry.getModel(persona, isComplex);
+        // Models known not to support function calling answer without tools
+        const toolsSupported = getModelInfo(model)?.supportsTools !== false;
+        // Players get a context without GM-only data, and tools to match
+        const gmContext = context.gmContext !== false;
+        const tools = getSetting('enableTools') && route.tools && toolsSupported ? RyomaTools.getDefinitions({ gmContext }) : null;
+        // Creations come back as typed JSON where the model supports it, otherwise between the markers
+        const structured = route.structured && this.supportsStructuredOutput(model);
+        const responseFormat = structured ? StructuredOutput.buildResponseFormat() : undefined;
+
+        // Fit system prompt, party, compendiums and history into the model's token budget
+        const fitted = TokenBudget.fitContext({
+            ...context,
+            persona,
+            toolsEnabled: !!tools,
+            includeCreationGuide: route.creationGuide,
+            includePartySummary: route.partySummary,
+            structuredOutput: structured,
+            image
+        }, userMessage, {
+            model,
+            buildSystemPrompt: (ctx) => this.buildSystemPrompt(ctx),
+            reserved: (tools ? TokenBudget.estimate(JSON.stringify(tools)) : 0)
+                + (responseFormat ? TokenBudget.estimate(JSON.stringify(responseFormat)) : 0)
+                + (image ? ImageInput.ESTIMATED_TOKENS : 0)
+        });
 
         messages.push({
             role: 'system',
-            content: this.buildSystemPrompt(context)
+            content: this.buildSystemPrompt(fitted)
         });
 
-        if (context.history && context.history.length > 0) {
-            for (const msg of context.history) {
+        if (fitted.history && fitted.history.length > 0) {
+            for (const msg of fitted.history) {
                 messages.push({
                     role: msg.role,
                     content: msg.content
@@ -217,27 +651,205 @@ PER ITEMS CUSTOM: usa {"name": "Nome", "custom": {...tutti i dati...}}`;
 
         messages.push({
             role: 'user',
-            content: userMessage
+            content: image ? ImageInput.buildContent(userMessage, image.url) : userMessage
         });
 
-        const isComplex = this.isComplexRequest(userMessage);
-        const response = await this.chat(messages, { isComplex });
+        const { intent: _intent, persona: _persona, image: _image, ...chatOptions } = options;
+        if (structured && chatOptions.onDelta) {
+            // Stream the recap, not the JSON around it
+            const onDelta = chatOptions.onDelta;
+            chatOptions.onDelta = (delta, text) => onDelta(delta, StructuredOutput.toStreamText(text));
+        }
+        const response = await this.runToolLoop(messages, tools, { isComplex, model, responseFormat, gmContext, ...chatOptions });
+
+        const result = await this.validateAndRepair(this.parseResponse(response), messages, { ...options, responseFormat, tools });
+        result.intent = intent.intent;
+        return result;
+    }
 
-        return this.parseResponse(response);
+    /**
+     * Whether a model can be asked for a JSON-schema response format
+     * @param {string} model - Model identifier
+     * @returns {boolean} False when unknown (local servers), which keeps the markers
+     */
+    static supportsStructuredOutput(model) {
+        return getModelInfo(model)?.supportsStructuredOutput === true;
     }
 
     /**
-     * Determine if a request is complex
+     * Pick a persona model that can see images: the one for the request, otherwise
+     * the persona's other model. Models with unknown support (local servers) are tried.
+     * @param {Object} persona - Persona answering
+     * @param {boolean} isComplex - Whether the request needs the complex model
+     * @returns {string} Model identifier
+     */
+    static getVisionModel(persona, isComplex) {
+        const preferred = PersonaRegistry.getModel(persona, isComplex);
+        if (ImageInput.supportsVision(preferred) !== false) return preferred;
+
+        const other = PersonaRegistry.getModel(persona, !isComplex);
+        if (ImageInput.supportsVision(other) !== false) {
+            console.log(`${MODULE_ID} | ${preferred} cannot see images, using ${other}`);
+            return other;
+        }
+
+        throw new Error(game.i18n.format('RYOMA.Vision.Unsupported', { model: getModelDisplayName(preferred) }));
+    }
+
+    /**
+     * Validate the creation block and ask the model to fix it when it is invalid
+     * @param {Object} result - Parsed response
+     * @param {Array} messages - Messages that produced the response
+     * @param {Object} options - Options (onRepair reports each attempt, responseFormat for structured answers,
+     *                           tools the messages were produced with)
+     * @returns {Promise<Object>} Result with valid creationData, or validationErrors
+     */
+    static async validateAndRepair(result, messages, options = {}) {
+        if (!result.creationData && !result.creationError) return result;
+
+        let errors = result.creationError
+            ? [result.creationError]
+            : CreationValidator.validate(result.creationData);
+        let rawContent = result.rawContent;
+        let attempt = 0;
+
+        while (errors.length > 0 && attempt < this.MAX_REPAIR_ATTEMPTS) {
+            attempt++;
+            console.warn(`${MODULE_ID} | Invalid creation block (attempt ${attempt}):`, errors);
+            options.onRepair?.(attempt, errors);
+
+            const response = await this.chat([
+                ...messages,
+                { role: 'assistant', content: rawContent },
+                { role: 'user', content: this.buildRepairPrompt(errors, result.structured) }
+            ], {
+                model: result.modelUsed,
+                noFallback: true,
+                signal: options.signal,
+                responseFormat: result.structured ? options.responseFormat : undefined,
+                // The messages may hold tool calls and results, which need the tool definitions
+                tools: options.tools || undefined,
+                toolChoice: options.tools ? 'none' : undefined
+            });
+
+            const repaired = this.parseResponse(response);
+            rawContent = repaired.rawContent;
+            this.addUsage(result, repaired.usage);
+
+            if (repaired.creationError) {
+                errors = [repaired.creationError];
+            } else if (!repaired.creationData) {
+                errors = [game.i18n.localize(repaired.structured ? 'RYOMA.Validation.CreationMissing' : 'RYOMA.Validation.BlockMissing')];
+            } else {
+                errors = CreationValidator.validate(repaired.creationData);
+                result.creationData = repaired.creationData;
+            }
+        }
+
+        result.repairAttempts = attempt;
+        result.creationError = null;
+        if (errors.length > 0) {
+            result.creationData = null;
+            result.validationErrors = errors;
+        }
+        return result;
+    }
+
+    /**
+     * Build the message asking for a corrected creation block
+     * @param {Array<string>} errors - Validation errors
+     * @param {boolean} structured - Whether the answer was a structured (JSON) response
+     * @returns {string} Repair prompt
+     */
+    static buildRepairPrompt(errors, structured = false) {
+        return game.i18n.format(structured ? 'RYOMA.Validation.RepairPromptStructured' : 'RYOMA.Validation.RepairPrompt', {
+            errors: errors.map(e => `- ${e}`).join('\n')
+        });
+    }
+
+    /**
+     * Add token usage to a result
+     * @param {Object} result - Parsed result to update
+     * @param {Object} usage - Usage to add
+     */
+    static addUsage(result, usage) {
+        if (!usage) return;
+        result.usage = result.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        result.usage.prompt_tokens += usage.prompt_tokens || 0;
+        result.usage.completion_tokens += usage.completion_tokens || 0;
+        result.usage.total_tokens += usage.total_tokens || 0;
+    }
+
+    /**
+     * Call the model, executing requested tools until it produces a final answer
+     * @param {Array} messages - Conversation messages (extended in place with tool turns)
+     * @param {Array|null} tools - Tool definitions, or null to disable tools
+     * @param {Object} options - Chat options plus onToolCall callback and gmContext (false for players)
+     * @returns {Promise<Object>} Final normalized response, with usage summed across rounds
+     */
+    static async runToolLoop(messages, tools, options = {}) {
+        const { onToolCall, gmContext, ...chatOptions } = options;
+        const totalUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        const toolsUsed = [];
+        let fallback = null;
+        let budgetDowngraded = false;
+        let response;
+
+        for (let round = 0; round <= this.MAX_TOOL_ROUNDS; round++) {
+            // The last round forbids tool calls so the model has to answer (the definitions stay,
+            // since the messages already hold tool calls and results)
+            const offerTools = tools && round < this.MAX_TOOL_ROUNDS;
+            response = await this.chat(messages, {
+                ...chatOptions,
+                tools: tools || undefined,
+                toolChoice: tools && !offerTools ? 'none' : undefined
+            });
+
+            // Stick to the model that answered for the remaining rounds
+            if (response.fallbackFrom) {
+                fallback = { from: response.fallbackFrom, displayName: response.fallbackFromDisplayName };
+            }
+            chatOptions.model = response.modelUsed;
+            budgetDowngraded = budgetDowngraded || response.budgetDowngraded;
+
+            if (response.usage) {
+                totalUsage.prompt_tokens += response.usage.prompt_tokens || 0;
+                totalUsage.completion_tokens += response.usage.completion_tokens || 0;
+                totalUsage.total_tokens += response.usage.total_tokens || 0;
+            }
+
+            const message = response.choices?.[0]?.message;
+            const toolCalls = message?.tool_calls;
+            if (!offerTools || !toolCalls?.length) break;
+
+            messages.push({ role: 'assistant', content: message.content || '', tool_calls: toolCalls });
+
+            for (const call of toolCalls) {
+                this.throwIfCancelled(chatOptions.signal);
+                onToolCall?.(call.function.name, RyomaTools.getLabel(call.function.name));
+                const result = await RyomaTools.execute(call.function.name, call.function.arguments, { gmContext });
+                messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+                toolsUsed.push(call.function.name);
+            }
+        }
+
+        response.usage = totalUsage.total_tokens > 0 ? totalUsage : response.usage;
+        response.toolsUsed = toolsUsed;
+        response.budgetDowngraded = budgetDowngraded;
+        if (fallback) {
+            response.fallbackFrom = fallback.from;
+            response.fallbackFromDisplayName = fallback.displayName;
+        }
+        return response;
+    }
+
+    /**
+     * Determine if a request is complex (kept for API compatibility, see IntentRouter)
      * @param {string} message - User message
      * @returns {boolean}
      */
     static isComplexRequest(message) {
-        const complexPatterns = [
-            /crea/i, /genera/i, /costruisci/i, /modifica/i, /cambia/i,
-            /aggiungi/i, /npc/i, /mostro/i, /nemico/i, /personaggio/i,
-            /arma/i, /spada/i, /incantesimo/i, /spell/i
-        ];
-        return complexPatterns.some(pattern => pattern.test(message));
+        return IntentRouter.classifyWithRules(message).route.complex;
     }
 
     /**
@@ -248,10 +860,17 @@ PER ITEMS CUSTOM: usa {"name": "Nome", "custom": {...tutti i dati...}}`;
     static parseResponse(response) {
         const result = {
             content: '',
+            rawContent: '',
             creationData: null,
+            creationError: null,
+            structured: false,
             modelUsed: response.modelUsed,
             modelDisplayName: response.modelDisplayName,
-            usage: response.usage
+            usage: response.usage,
+            toolsUsed: response.toolsUsed || [],
+            fallbackFrom: response.fallbackFrom || null,
+            fallbackFromDisplayName: response.fallbackFromDisplayName || null,
+            budgetDowngraded: response.budgetDowngraded || false
         };
 
         if (!response.choices || response.choices.length === 0) {
@@ -263,23 +882,50 @@ PER ITEMS CUSTOM: usa {"name": "Nome", "custom": {...tutti i dati...}}`;
 
         if (message.content) {
             result.content = message.content;
-
-            // Check for creation JSON block
-            const creationMatch = message.content.match(/---RYOMA_CREATE_START---\s*([\s\S]*?)\s*---RYOMA_CREATE_END---/);
-
-            if (creationMatch) {
+            result.rawContent = message.content;
+
+            // Structured answer ({ recap, creation }), otherwise the block between the markers
+            const structured = StructuredOutput.parse(message.content);
+            const creationMatch = structured
+                ? null
+                : message.content.match(/---RYOMA_CREATE_START---\s*([\s\S]*?)\s*---RYOMA_CREATE_END---/);
+
+            if (structured) {
+                result.structured = true;
+                result.content = structured.recap;
+                result.creationData = structured.creation;
+            } else if (response.structuredOutput) {
+                // Enforced JSON that does not parse: usually a truncated generation
+                result.structured = true;
+                result.content = StructuredOutput.extractRecap(message.content).recap;
+                result.creationError = game.i18n.localize('RYOMA.Validation.StructuredInvalid');
+            } else if (creationMatch) {
+                result.content = message.content
+                    .replace(/---RYOMA_CREATE_START---[\s\S]*?---RYOMA_CREATE_END---/, '')
+                    .trim();
                 try {
-                    result.creationData = JSON.parse(creationMatch[1].trim());
-                    result.content = message.content
-                        .replace(/---RYOMA_CREATE_START---[\s\S]*?---RYOMA_CREATE_END---/, '')
-                        .trim();
+                    result.creationData = JSON.parse(this.stripCodeFence(creationMatch[1].trim()));
                 } catch (e) {
                     console.warn(`${MODULE_ID} | Failed to parse creation JSON:`, e);
+                    result.creationError = game.i18n.format('RYOMA.Validation.InvalidJson', { error: e.message });
                 }
+            } else if (message.content.includes('---RYOMA_CREATE_START---')) {
+                // Start marker without end: usually a truncated generation
+                result.content = message.content.split('---RYOMA_CREATE_START---')[0].trim();
+                result.creationError = game.i18n.localize('RYOMA.Validation.Truncated');
             }
         }
 
         result.finishReason = choice.finish_reason;
         return result;
     }
+
+    /**
+     * Remove a markdown code fence wrapped around a JSON block
+     * @param {string} text - Block text
+     * @returns {string} Bare JSON text
+     */
+    static stripCodeFence(text) {
+        return text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    }
 }
@@ -0,0 +1,268 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Markdown Renderer - Turns model and user text into safe HTML for chat cards
+ */
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Small Markdown renderer: headings, paragraphs, lists (nested), tables, blockquotes,
+ * code blocks, rules, and inline bold, italic, strikethrough, code and links.
+ * The text is escaped before any markup is added, so HTML written by the model or the
+ * user is shown as text, never interpreted. Only http(s) links become anchors; Foundry
+ * enrichers such as @UUID[...]{...} and [[/r 1d20]] pass through untouched.
+ */
+export class MarkdownRenderer {
+    /**
+     * Render Markdown to HTML
+     * @param {string} text - Markdown text (an unfinished stream is fine)
+     * @returns {string} HTML
+     */
+    static render(text) {
+        if (!text) return '';
+        return this.renderBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    /**
+     * Render a single line of text: inline formatting only, line breaks kept
+     * @param {string} text - Text
+     * @returns {string} HTML
+     */
+    static renderInline(text) {
+        if (!text) return '';
+        return String(text).replace(/\r\n?/g, '\n').split('\n').map(line => this.inline(line)).join('<br>');
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return foundry.utils.escapeHTML(String(text ?? ''));
+    }
+
+    /**
+     * Render block-level Markdown
+     * @param {Array<string>} lines - Source lines
+     * @returns {string} HTML
+     */
+    static renderBlocks(lines) {
+        let html = '';
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length > 0) html += `<p>${paragraph.map(line => this.inline(line.trim())).join('<br>')}</p>`;
+            paragraph = [];
+        };
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                flush();
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE);
+            if (fence) {
+                flush();
+                const code = [];
+                i++;
+                // An unclosed fence (e.g. while streaming) runs to the end
+                while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && FENCE.test(lines[i]))) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = fence[2] ? ` class="language-${this.escape(fence[2])}"` : '';
+                html += `<pre><code${language}>${this.escape(code.join('\n'))}</code></pre>`;
+                continue;
+            }
+
+            const heading = line.match(HEADING);
+            if (heading) {
+                flush();
+                const level = heading[1].length;
+                html += `<h${level}>${this.inline(heading[2])}</h${level}>`;
+                i++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                flush();
+                html += '<hr>';
+                i++;
+                continue;
+            }
+
+            if (QUOTE.test(line)) {
+                flush();
+                const quoted = [];
+                while (i < lines.length && QUOTE.test(lines[i])) {
+                    quoted.push(lines[i].match(QUOTE)[1]);
+                    i++;
+                }
+                html += `<blockquote>${this.renderBlocks(quoted)}</blockquote>`;
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                flush();
+                const list = this.renderList(lines, i);
+                html += list.html;
+                i = list.index;
+                continue;
+            }
+
+            if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+                flush();
+                const table = this.renderTable(lines, i);
+                html += table.html;
+                i = table.index;
+                continue;
+            }
+
+            paragraph.push(line);
+            i++;
+        }
+
+        flush();
+        return html;
+    }
+
+    /**
+     * Render a list starting at a line, with the items indented deeper as nested lists
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first item
+     * @returns {{html: string, index: number}} HTML and the index of the first line after the list
+     */
+    static renderList(lines, start) {
+        const first = lines[start].match(LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const number = parseInt(first[2], 10);
+        let html = ordered ? `<ol${number !== 1 ? ` start="${number}"` : ''}>` : '<ul>';
+
+        let i = start;
+        while (i < lines.length) {
+            const item = lines[i].match(LIST_ITEM);
+            if (!item || item[1].length !== indent || /\d/.test(item[2]) !== ordered) break;
+
+            html += `<li>${this.inline(item[3])}`;
+            i++;
+
+            // Nested lists and indented continuation lines belong to this item
+            while (i < lines.length) {
+                const next = lines[i].match(LIST_ITEM);
+                if (next && next[1].length > indent) {
+                    const nested = this.renderList(lines, i);
+                    html += nested.html;
+                    i = nested.index;
+                } else if (!next && lines[i].trim() && /^\s/.test(lines[i])) {
+                    html += `<br>${this.inline(lines[i].trim())}`;
+                    i++;
+                } else {
+                    break;
+                }
+            }
+
+            html += '</li>';
+        }
+
+        html += ordered ? '</ol>' : '</ul>';
+        return { html, index: i };
+    }
+
+    /**
+     * Render a pipe table (header row, separator row, body rows)
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the header row
+     * @returns {{html: string, index: number}} HTML and the index of the first line after the table
+     */
+    static renderTable(lines, start) {
+        const header = this.splitRow(lines[start]);
+        const aligns = this.splitRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : null;
+        });
+        const cell = (tag, text, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${this.inline(text)}</${tag}>`;
+        };
+
+        let html = `<table><thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead><tbody>`;
+
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const row = this.splitRow(lines[i]);
+            html += `<tr>${header.map((_, index) => cell('td', row[index] ?? '', index)).join('')}</tr>`;
+            i++;
+        }
+
+        html += '</tbody></table>';
+        return { html, index: i };
+    }
+
+    /**
+     * Split a table row into cells (outer pipes optional, \| is a literal pipe)
+     * @param {string} line - Table row
+     * @returns {Array<string>} Cell texts
+     */
+    static splitRow(line) {
+        const cells = [];
+        let current = '';
+        const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+        for (let i = 0; i < trimmed.length; i++) {
+            if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (trimmed[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += trimmed[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Render inline formatting on escaped text
+     * @param {string} text - Raw text of a line
+     * @returns {string} HTML
+     */
+    static inline(text) {
+        // Code spans are escaped and set aside, so nothing inside them is formatted
+        const codes = [];
+        let html = String(text).replace(/(`+)(.+?)\1/g, (match, ticks, code) => {
+            codes.push(`<code>${this.escape(code.trim())}</code>`);
+            return `\u0000${codes.length - 1}\u0000`;
+        });
+
+        html = this.escape(html)
+            // Links (web addresses only)
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+            // Bold
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\p{L}\d_])__(.+?)__(?![\p{L}\d_])/gu, '$1<strong>$2</strong>')
+            // Italic
+            .replace(/\*([^*\s](?:[^*]*[^*\s])?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\p{L}\d_])_([^_\s](?:[^_]*[^_\s])?)_(?![\p{L}\d_])/gu, '$1<em>$2</em>')
+            // Strikethrough
+            .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index]);
+    }
+}
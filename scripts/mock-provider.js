@@ -0,0 +1,310 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Mock Provider - Offline replay of recorded LLM responses, and recording of real ones
+ */
+
+import { MODULE_ID, getSetting } from './config.js';
+import { ImageInput } from './image-input.js';
+
+/**
+ * Replays responses from a fixture file instead of calling a provider.
+ *
+ * Fixture format:
+ * {
+ *   "description": "...",
+ *   "responses": [{
+ *     "match": "regex tested (case-insensitive) against the last user message",
+ *     "turn": 0,           // optional tool round: 0 = first answer, 1 = after the first tool results
+ *     "status": 429,       // optional HTTP error instead of a response
+ *     "error": "message",  // error text for status entries
+ *     "retryAfter": 1,     // optional Retry-After seconds for status entries
+ *     "times": 2,          // optional: the entry is used this many times, then skipped
+ *     "delay": 500,        // optional latency in ms
+ *     "response": { "content": "...", "tool_calls": [{ "name": "...", "arguments": {} }], "usage": {} }
+ *   }]
+ * }
+ * The first matching entry wins; the record mode produces entries in the same format.
+ */
+export class MockProvider {
+    static DEFAULT_FIXTURE = `modules/${MODULE_ID}/fixtures/default.json`;
+    static STREAM_CHUNK_SIZE = 12; // Characters per simulated stream chunk
+    static STREAM_CHUNK_DELAY = 15; // ms between simulated stream chunks
+
+    static fixture = null; // Loaded fixture
+    static fixturePath = null; // Path the fixture was loaded from
+    static usage = new Map(); // Entry index -> times used
+    static recording = []; // Exchanges captured in record mode
+
+    /**
+     * Answer a request from the fixture
+     * @param {string} model - Model identifier
+     * @param {Array} messages - Conversation messages (OpenAI format)
+     * @param {Object} options - Options (onDelta simulates streaming, signal cancels)
+     * @returns {Promise<Object>} Response in the OpenAI format
+     */
+    static async respond(model, messages, options = {}) {
+        const fixture = await this.loadFixture();
+        const userMessage = this.getLastUserMessage(messages);
+        const turn = this.getTurn(messages);
+        const index = this.findEntry(fixture, userMessage, turn);
+        const entry = index >= 0 ? fixture.responses[index] : null;
+
+        if (index >= 0) {
+            this.usage.set(index, (this.usage.get(index) || 0) + 1);
+        }
+
+        if (entry?.delay) {
+            await this.wait(entry.delay, options.signal);
+        }
+
+        if (entry?.status) {
+            const error = new Error(entry.error || `HTTP ${entry.status}: mock error`);
+            error.status = entry.status;
+            error.retryAfter = entry.retryAfter || null;
+            throw error;
+        }
+
+        const response = entry?.response || {
+            content: `[mock] ${game.i18n.format('RYOMA.Mock.NoResponse', { message: userMessage.substring(0, 80) })}`
+        };
+        const content = response.content || '';
+
+        if (typeof options.onDelta === 'function') {
+            let streamed = '';
+            for (let i = 0; i < content.length; i += this.STREAM_CHUNK_SIZE) {
+                const delta = content.substring(i, i + this.STREAM_CHUNK_SIZE);
+                streamed += delta;
+                options.onDelta(delta, streamed);
+                await this.wait(this.STREAM_CHUNK_DELAY, options.signal);
+            }
+        }
+
+        return this.buildResponse(response, messages);
+    }
+
+    /**
+     * Build an OpenAI-format response from a fixture response
+     * @param {Object} response - Fixture response
+     * @param {Array} messages - Request messages, to estimate usage
+     * @returns {Object} Normalized response
+     */
+    static buildResponse(response, messages) {
+        const message = { role: 'assistant', content: response.content || '' };
+
+        if (response.tool_calls?.length) {
+            message.tool_calls = response.tool_calls.map((call, i) => ({
+                id: call.id || `mock_call_${i}`,
+                type: 'function',
+                function: {
+                    name: call.name || call.function?.name,
+                    arguments: typeof call.arguments === 'string'
+                        ? call.arguments
+                        : JSON.stringify(call.arguments || call.function?.arguments || {})
+                }
+            }));
+        }
+
+        // Rough usage so the ledger and the budget have something to count
+        const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+        const completionTokens = Math.ceil(JSON.stringify(message).length / 4);
+
+        return {
+            id: `mock-${foundry.utils.randomID()}`,
+            choices: [{
+                message,
+                finish_reason: response.finish_reason || (message.tool_calls ? 'tool_calls' : 'stop')
+            }],
+            usage: response.usage || {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    /**
+     * Load the fixture set in the settings (cached until the path changes)
+     * @returns {Promise<Object>} Fixture
+     */
+    static async loadFixture() {
+        const path = getSetting('mockFixture') || this.DEFAULT_FIXTURE;
+        if (this.fixture && this.fixturePath === path) return this.fixture;
+
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(game.i18n.format('RYOMA.Mock.FixtureNotFound', { path }));
+        }
+
+        const fixture = await response.json();
+        if (!Array.isArray(fixture.responses)) {
+            throw new Error(game.i18n.format('RYOMA.Mock.InvalidFixture', { path }));
+        }
+
+        this.fixture = fixture;
+        this.fixturePath = path;
+        this.usage.clear();
+        console.log(`${MODULE_ID} | Mock fixture loaded: ${path} (${fixture.responses.length} responses)`);
+        return fixture;
+    }
+
+    /**
+     * Forget the loaded fixture and the usage counters (reloads on the next request)
+     */
+    static reset() {
+        this.fixture = null;
+        this.fixturePath = null;
+        this.usage.clear();
+    }
+
+    /**
+     * Find the first entry matching the message and tool round
+     * @param {Object} fixture - Fixture
+     * @param {string} userMessage - Last user message
+     * @param {number} turn - Tool round
+     * @returns {number} Entry index, or -1
+     */
+    static findEntry(fixture, userMessage, turn) {
+        return fixture.responses.findIndex((entry, index) => {
+            if (entry.turn !== undefined && entry.turn !== turn) return false;
+            if (entry.times !== undefined && (this.usage.get(index) || 0) >= entry.times) return false;
+
+            try {
+                return new RegExp(entry.match ?? '.*', 'i').test(userMessage);
+            } catch (error) {
+                console.warn(`${MODULE_ID} | Invalid mock pattern "${entry.match}":`, error.message);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Get the text of the last user message
+     * @param {Array} messages - Conversation messages
+     * @returns {string} Text
+     */
+    static getLastUserMessage(messages) {
+        const last = [...messages].reverse().find(m => m.role === 'user');
+        return last ? ImageInput.getText(last.content) : '';
+    }
+
+    /**
+     * Count the tool rounds since the last user message
+     * @param {Array} messages - Conversation messages
+     * @returns {number} Tool round
+     */
+    static getTurn(messages) {
+        let turn = 0;
+        for (let i = messages.length - 1; i >= 0 && messages[i].role !== 'user'; i--) {
+            if (messages[i].role === 'assistant' && messages[i].tool_calls?.length) turn++;
+        }
+        return turn;
+    }
+
+    /**
+     * Wait, ending early if the request is cancelled
+     * @param {number} ms - Milliseconds
+     * @param {AbortSignal} signal - Cancel signal
+     * @returns {Promise<void>}
+     */
+    static wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Whether real exchanges are being recorded
+     * @returns {boolean}
+     */
+    static isRecording() {
+        return !!getSetting('recordExchanges');
+    }
+
+    /**
+     * Capture a real exchange as a fixture entry
+     * @param {Array} messages - Request messages
+     * @param {Object|null} data - Normalized response, when successful
+     * @param {Error|null} error - Error, when failed
+     */
+    static record(messages, data, error = null) {
+        const userMessage = this.getLastUserMessage(messages);
+        const entry = {
+            match: `^${this.escapeRegExp(userMessage.substring(0, 60))}`,
+            turn: this.getTurn(messages)
+        };
+
+        if (error) {
+            entry.status = error.status || 500;
+            entry.error = error.message;
+        } else {
+            const message = data.choices?.[0]?.message || {};
+            entry.response = {
+                content: message.content || '',
+                finish_reason: data.choices?.[0]?.finish_reason,
+                usage: data.usage
+            };
+            if (message.tool_calls?.length) {
+                entry.response.tool_calls = message.tool_calls.map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: this.parseArguments(call.function.arguments)
+                }));
+            }
+        }
+
+        this.recording.push(entry);
+    }
+
+    /**
+     * Parse tool-call arguments for a readable fixture
+     * @param {string} args - JSON arguments
+     * @returns {Object|string} Parsed arguments, or the raw string
+     */
+    static parseArguments(args) {
+        try {
+            return JSON.parse(args || '{}');
+        } catch (e) {
+            return args;
+        }
+    }
+
+    /**
+     * Escape a string for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Download the recorded exchanges as a fixture file
+     * @returns {number} Number of recorded entries
+     */
+    static exportRecording() {
+        if (this.recording.length === 0) {
+            ui.notifications.warn(game.i18n.localize('RYOMA.Mock.NothingRecorded'));
+            return 0;
+        }
+
+        const fixture = {
+            description: `Recorded on ${new Date().toISOString()}`,
+            responses: this.recording
+        };
+        const fileName = `ryoma-fixture-${new Date().toISOString().substring(0, 10)}.json`;
+        foundry.utils.saveDataToFile(JSON.stringify(fixture, null, 2), 'application/json', fileName);
+
+        return this.recording.length;
+    }
+
+    /**
+     * Discard the recorded exchanges
+     */
+    static clearRecording() {
+        this.recording = [];
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Model Catalog - Live model list of the provider, cached in a world setting
+ */
+
+import { MODULE_ID, getSetting, setSetting, getProvider, getProviderBaseUrl, getModelChoices } from './config.js';
+import { LLMClient } from './llm-client.js';
+
+/**
+ * Fetches the provider's models (context length, pricing, tool and vision support).
+ * When the provider is unreachable the built-in tables in config.js are used instead.
+ */
+export class ModelCatalog {
+    static SETTING_KEY = 'modelCatalog';
+    static CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Refresh once a day
+    static REQUEST_TIMEOUT_MS = 15000;
+    static MAX_DESCRIPTION_LENGTH = 120;
+
+    /**
+     * Get the cached catalogue
+     * @returns {Object|null} { provider, baseUrl, fetchedAt, models } or null
+     */
+    static getCache() {
+        const cache = getSetting(this.SETTING_KEY);
+        return cache?.models ? cache : null;
+    }
+
+    /**
+     * Check whether the cache belongs to the active provider and is recent
+     * @returns {boolean}
+     */
+    static isFresh() {
+        const cache = this.getCache();
+        if (!cache) return false;
+        if (cache.provider !== getProvider().id || cache.baseUrl !== getProviderBaseUrl()) return false;
+        return Date.now() - new Date(cache.fetchedAt).getTime() < this.CACHE_TTL_MS;
+    }
+
+    /**
+     * Refresh the catalogue from the provider
+     * @param {boolean} force - Ignore the cache age
+     * @returns {Promise<boolean>} Whether a fresh list was fetched
+     */
+    static async refresh(force = false) {
+        if (!force && this.isFresh()) return false;
+
+        const provider = getProvider();
+        if (provider.catalog === false) return false;
+
+        try {
+            const models = await this.fetchModels(provider);
+            if (Object.keys(models).length === 0) {
+                throw new Error('empty model list');
+            }
+
+            await setSetting(this.SETTING_KEY, {
+                provider: provider.id,
+                baseUrl: getProviderBaseUrl(),
+                fetchedAt: new Date().toISOString(),
+                models
+            });
+            this.updateSettingChoices();
+
+            console.log(`${MODULE_ID} | Model catalogue updated: ${Object.keys(models).length} models from ${provider.name}`);
+            return true;
+        } catch (error) {
+            // Offline or unsupported endpoint: keep the previous cache or the built-in table
+            console.warn(`${MODULE_ID} | Could not fetch the model list from ${provider.name}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Download and normalize the provider's model list
+     * @param {Object} provider - Provider definition
+     * @returns {Promise<Object>} Models by id
+     */
+    static async fetchModels(provider) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+
+        try {
+            // Anthropic pages the list (20 models by default)
+            const query = provider.format === 'anthropic' ? '?limit=1000' : '';
+            const response = await fetch(`${getProviderBaseUrl()}/models${query}`, {
+                method: 'GET',
+                headers: LLMClient.buildHeaders(provider, getSetting('apiKey')),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return this.parseModels(provider, await response.json());
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Normalize a /models response (OpenRouter, OpenAI, Anthropic, Ollama, LM Studio)
+     * Fields the provider does not report are taken from the built-in table.
+     * @param {Object} provider - Provider definition
+     * @param {Object} data - Response body
+     * @returns {Object} Models by id
+     */
+    static parseModels(provider, data) {
+        const list = Array.isArray(data?.data) ? data.data : (Array.isArray(data?.models) ? data.models : []);
+        const builtIn = provider.models || {};
+        const models = {};
+
+        for (const raw of list) {
+            const id = raw.id || raw.name;
+            if (!id || !this.isChatModel(provider, id)) continue;
+
+            const known = builtIn[id] || {};
+            const pricing = raw.pricing || {};
+            const modalities = raw.architecture?.input_modalities;
+
+            models[id] = {
+                name: raw.name || raw.display_name || known.name || id,
+                description: known.description || this.shorten(raw.description),
+                costPer1MInput: this.parsePrice(pricing.prompt) ?? known.costPer1MInput ?? 0,
+                costPer1MOutput: this.parsePrice(pricing.completion) ?? known.costPer1MOutput ?? 0,
+                contextLength: raw.context_length || raw.max_context_length || known.contextLength || null,
+                supportsTools: Array.isArray(raw.supported_parameters)
+                    ? raw.supported_parameters.includes('tools')
+                    : (known.supportsTools ?? this.guessCapability(provider, id, 'tools')),
+                supportsVision: Array.isArray(modalities)
+                    ? modalities.includes('image')
+                    : (known.supportsVision ?? this.guessCapability(provider, id, 'vision')),
+                supportsStructuredOutput: Array.isArray(raw.supported_parameters)
+                    ? raw.supported_parameters.includes('structured_outputs')
+                    : (known.supportsStructuredOutput ?? this.guessCapability(provider, id, 'structured'))
+            };
+        }
+
+        return models;
+    }
+
+    /**
+     * Skip models that cannot chat (embeddings, audio, images, moderation)
+     * @param {Object} provider - Provider definition
+     * @param {string} id - Model id
+     * @returns {boolean}
+     */
+    static isChatModel(provider, id) {
+        if (/embed|whisper|tts|dall-e|moderation|transcribe|realtime|audio|image/i.test(id)) return false;
+        if (provider.id === 'openai') return /^(gpt-|o\d|chatgpt-)/i.test(id);
+        return true;
+    }
+
+    /**
+     * Convert a per-token USD price to USD per million tokens
+     * @param {string|number} price - Price per token
+     * @returns {number|null} Price per 1M tokens, or null when not reported
+     */
+    static parsePrice(price) {
+        if (price === undefined || price === null || price === '') return null;
+        const value = Number(price);
+        // OpenRouter reports -1 for routers with variable pricing
+        if (!Number.isFinite(value) || value < 0) return null;
+        return Math.round(value * 1000000 * 1000) / 1000;
+    }
+
+    /**
+     * Guess tool/vision/structured output support for providers that do not report it
+     * @param {Object} provider - Provider definition
+     * @param {string} id - Model id
+     * @param {string} capability - 'tools', 'vision' or 'structured'
+     * @returns {boolean|null} Best guess, or null when unknown (local servers)
+     */
+    static guessCapability(provider, id, capability) {
+        if (provider.id === 'anthropic') {
+            // Creation requests to Anthropic use the RYOMA_CREATE markers
+            if (capability === 'structured') return false;
+            return /claude-(3|[a-z]+-[4-9]|[4-9])/i.test(id);
+        }
+        if (provider.id === 'openai') {
+            if (capability === 'vision') return /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o[1-9]/i.test(id);
+            if (capability === 'structured') return /gpt-4o|gpt-4\.1|gpt-5|^o[1-9]/i.test(id);
+            return !/instruct/i.test(id);
+        }
+        return null;
+    }
+
+    /**
+     * Shorten a provider description for the settings list
+     * @param {string} text - Description
+     * @returns {string} Short description
+     */
+    static shorten(text) {
+        if (!text) return '';
+        const firstLine = String(text).split('\n')[0].trim();
+        return firstLine.length > this.MAX_DESCRIPTION_LENGTH
+            ? firstLine.substring(0, this.MAX_DESCRIPTION_LENGTH) + '...'
+            : firstLine;
+    }
+
+    /**
+     * Update the model dropdowns of the settings after a refresh
+     */
+    static updateSettingChoices() {
+        const choices = getModelChoices(getProvider());
+        for (const key of ['defaultModel', 'complexModel']) {
+            const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+            if (config) config.choices = choices;
+        }
+    }
+
+    /**
+     * Forget the cached list (the built-in table is used until the next refresh)
+     */
+    static async clear() {
+        await setSetting(this.SETTING_KEY, {});
+        this.updateSettingChoices();
+    }
+}
@@ -3,7 +3,7 @@
  * Main Module Entry Point
  */
 
-import { MODULE_ID, MODULE_NAME, registerSettings, hasApiKey } from './config.js';
+import { MODULE_ID, MODULE_NAME, CHAT_PREFIX, registerSettings, hasApiKey, applyLanguageOverride, getLocale } from './config.js';
 import { ChatHandler } from './chat-handler.js';
 import { ConversationManager } from './conversation-manager.js';
 import { PartyAnalyzer } from './party-analyzer.js';
@@ -11,6 +11,20 @@ import { CompendiumBrowser } from './compendium-browser.js';
 import { ActorManager } from './actor-manager.js';
 import { ItemManager } from './item-manager.js';
 import { LLMClient } from './llm-client.js';
+import { RyomaTools } from './ryoma-tools.js';
+import { UsageLedger } from './usage-ledger.js';
+import { IntentRouter } from './intent-router.js';
+import { PromptTemplates } from './prompt-templates.js';
+import { PersonaRegistry } from './persona-registry.js';
+import { ModelCatalog } from './model-catalog.js';
+import { MockProvider } from './mock-provider.js';
+import { ImageInput } from './image-input.js';
+import { RequestQueue } from './request-queue.js';
+import { PendingActions } from './pending-actions.js';
+import { UndoHistory } from './undo-history.js';
+import { ChatCommands } from './chat-commands.js';
+import { Capabilities } from './capabilities.js';
+import { SettingsRelay } from './settings-relay.js';
 
 /**
  * Module initialization
@@ -21,6 +35,12 @@ Hooks.once('init', async () => {
     // Register module settings
     registerSettings();
 
+    // Register the writes players send to the GM
+    ConversationManager.registerOperations();
+    UsageLedger.registerOperations();
+    PendingActions.registerOperations();
+    UndoHistory.registerOperations();
+
     // Register Handlebars helpers
     registerHandlebarsHelpers();
 
@@ -29,12 +49,26 @@ Hooks.once('init', async () => {
         `modules/${MODULE_ID}/templates/party-selector.hbs`,
         `modules/${MODULE_ID}/templates/compendium-config.hbs`,
         `modules/${MODULE_ID}/templates/confirmation-dialog.hbs`,
-        `modules/${MODULE_ID}/templates/clear-history.hbs`
+        `modules/${MODULE_ID}/templates/action-editor.hbs`,
+        `modules/${MODULE_ID}/templates/clear-history.hbs`,
+        `modules/${MODULE_ID}/templates/usage-report.hbs`,
+        `modules/${MODULE_ID}/templates/prompt-editor.hbs`,
+        `modules/${MODULE_ID}/templates/persona-config.hbs`,
+        `modules/${MODULE_ID}/templates/capabilities-config.hbs`,
+        `modules/${MODULE_ID}/templates/model-catalog.hbs`
     ]);
 
     console.log(`${MODULE_ID} | Initialization complete`);
 });
 
+/**
+ * Translations are loaded: apply the module language chosen by the user
+ * (synchronously, before setup localizes anything)
+ */
+Hooks.once('i18nInit', () => {
+    applyLanguageOverride();
+});
+
 /**
  * Module ready
  */
@@ -47,11 +81,16 @@ Hooks.once('ready', async () => {
     // Check API key and show warning if not configured
     if (!hasApiKey() && game.user.isGM) {
         ui.notifications.warn(
-            `${MODULE_NAME}: API Key non configurata. Vai nelle impostazioni del modulo per configurarla.`,
+            `${MODULE_NAME}: ${game.i18n.localize('RYOMA.Chat.NoApiKey')}`,
             { permanent: true }
         );
     }
 
+    // Refresh the provider's model list in the background (cached for a day)
+    if (game.user.isGM) {
+        ModelCatalog.refresh();
+    }
+
     // Log conversation stats
     if (game.user.isGM) {
         const stats = await ConversationManager.getStats();
@@ -69,10 +108,23 @@ Hooks.once('ready', async () => {
         ActorManager,
         ItemManager,
         LLMClient,
+        RyomaTools,
+        UsageLedger,
+        IntentRouter,
+        PromptTemplates,
+        PersonaRegistry,
+        ModelCatalog,
+        MockProvider,
+        ImageInput,
+        RequestQueue,
+        PendingActions,
+        UndoHistory,
+        ChatCommands,
+        Capabilities,
 
         // Convenience methods
-        async chat(message) {
-            return ChatHandler.processMessage(message);
+        async chat(message, personaId = null) {
+            return ChatHandler.processMessage(message, { persona: PersonaRegistry.get(personaId) });
         },
 
         async getPartyInfo() {
@@ -95,35 +147,6 @@ Hooks.once('ready', async () => {
     console.log(`${MODULE_ID} | API exposed at game.modules.get('${MODULE_ID}').api`);
 });
 
-/**
- * Handle chat message hook for confirmation commands
- */
-Hooks.on('chatMessage', (chatLog, content, chatData) => {
-    const trimmed = content.trim();
-
-    // Check for !R prefix
-    if (!trimmed.startsWith('!R')) {
-        return true;
-    }
-
-    const message = trimmed.substring(2).trim().toLowerCase();
-
-    // Check if this is a confirmation response
-    if (ChatHandler.pendingConfirmation) {
-        if (message === 'conferma' || message === 'sì' || message === 'si' || message === 'ok') {
-            ChatHandler.handleConfirmation(true);
-            return false;
-        }
-        if (message === 'annulla' || message === 'no' || message === 'cancella') {
-            ChatHandler.handleConfirmation(false);
-            return false;
-        }
-    }
-
-    // Otherwise, let ChatHandler.onChatMessage handle it
-    return true;
-});
-
 /**
  * Add Ryoma button to actor sheet header (optional)
  */
@@ -136,12 +159,12 @@ Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
         icon: 'fas fa-magic',
         onclick: async () => {
             const actor = sheet.actor;
-            const message = `Analizza questo personaggio e dimmi cosa ne pensi: ${actor.name}`;
+            const message = game.i18n.format('RYOMA.Chat.AnalyzeActor', { name: actor.name });
 
             // Send to chat
             const chatInput = document.querySelector('#chat-message');
             if (chatInput) {
-                chatInput.value = `!R ${message}`;
+                chatInput.value = `${CHAT_PREFIX} ${message}`;
                 chatInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
             }
         }
@@ -162,11 +185,22 @@ function registerHandlebarsHelpers() {
         return game.i18n.localize(`RYOMA.${key}`);
     });
 
+    // Format a USD cost estimate
+    Handlebars.registerHelper('formatCost', function (value) {
+        const cost = Number(value) || 0;
+        return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    });
+
+    // Format a token count with thousands separators
+    Handlebars.registerHelper('formatTokens', function (value) {
+        return (Number(value) || 0).toLocaleString(getLocale());
+    });
+
     // Format date
     Handlebars.registerHelper('formatDate', function (dateString) {
         if (!dateString) return '';
         const date = new Date(dateString);
-        return date.toLocaleString('it-IT');
+        return date.toLocaleString(getLocale());
     });
 
     // Truncate text
@@ -192,13 +226,17 @@ function registerHandlebarsHelpers() {
 }
 
 /**
- * Socket handling for multi-user scenarios (if needed)
+ * Socket handling for multi-user scenarios
  */
 Hooks.once('ready', () => {
-    game.socket.on(`module.${MODULE_ID}`, async (data) => {
+    game.socket.on(`module.${MODULE_ID}`, async (data, senderId) => {
         if (data.action === 'refresh') {
             // Refresh UI if needed
             ui.chat.render();
+        } else if (data.action?.startsWith(RequestQueue.SOCKET_PREFIX)) {
+            RequestQueue.onSocket(data, senderId);
+        } else if (data.action?.startsWith(SettingsRelay.SOCKET_PREFIX)) {
+            SettingsRelay.onSocket(data, senderId);
         }
     });
 });
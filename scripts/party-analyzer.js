@@ -169,7 +169,7 @@ export class PartyAnalyzer {
                 averageLevel: 0,
                 totalHp: 0,
                 composition: {},
-                summary: 'Nessun personaggio giocante configurato.'
+                summary: game.i18n.localize('RYOMA.PartySummary.Empty')
             };
         }
 
@@ -185,7 +185,7 @@ export class PartyAnalyzer {
         // Class composition
         const composition = {};
         for (const member of members) {
-            const cls = member.class || 'Sconosciuto';
+            const cls = member.class || game.i18n.localize('RYOMA.PartySummary.UnknownClass');
             composition[cls] = (composition[cls] || 0) + 1;
         }
 
@@ -267,30 +267,33 @@ export class PartyAnalyzer {
      * @param {Array} members - Party members
      * @param {number} avgLevel - Average level
      * @param {Object} roles - Role analysis
+     * @param {Object} options - Options (stats: false leaves out hit points and AC)
      * @returns {string} Party summary
      */
-    static buildPartySummary(members, avgLevel, roles) {
-        let summary = `Party di ${members.length} personaggi, livello medio ${avgLevel}:\n`;
+    static buildPartySummary(members, avgLevel, roles, options = {}) {
+        const t = (key, data = {}) => game.i18n.format(`RYOMA.PartySummary.${key}`, data);
+        const stats = options.stats !== false;
+        let summary = `${t('Header', { count: members.length, level: avgLevel })}\n`;
 
         for (const member of members) {
             summary += `- ${member.name}: ${member.race} ${member.class} Lv${member.level}`;
-            summary += ` (HP ${member.hp}/${member.maxHp}, CA ${member.ac})\n`;
+            summary += stats ? ` (${t('Stats', { hp: member.hp, maxHp: member.maxHp, ac: member.ac })})\n` : '\n';
         }
 
-        summary += '\nRuoli nel party:\n';
-        if (roles.tanks.length > 0) summary += `- Tank: ${roles.tanks.join(', ')}\n`;
-        if (roles.healers.length > 0) summary += `- Guaritori: ${roles.healers.join(', ')}\n`;
-        if (roles.damage.length > 0) summary += `- DPS: ${roles.damage.join(', ')}\n`;
-        if (roles.spellcasters.length > 0) summary += `- Incantatori: ${roles.spellcasters.join(', ')}\n`;
+        summary += `\n${t('Roles')}\n`;
+        const roleNames = { tanks: 'Tanks', healers: 'Healers', damage: 'Damage', spellcasters: 'Spellcasters' };
+        for (const [role, key] of Object.entries(roleNames)) {
+            if (roles[role].length > 0) summary += `- ${t(key)}: ${roles[role].join(', ')}\n`;
+        }
 
         // Weaknesses
         const weaknesses = [];
-        if (roles.tanks.length === 0) weaknesses.push('manca un tank solido');
-        if (roles.healers.length === 0) weaknesses.push('manca un guaritore');
-        if (roles.spellcasters.length === 0) weaknesses.push('manca supporto magico');
+        if (roles.tanks.length === 0) weaknesses.push(t('NoTank'));
+        if (roles.healers.length === 0) weaknesses.push(t('NoHealer'));
+        if (roles.spellcasters.length === 0) weaknesses.push(t('NoCaster'));
 
         if (weaknesses.length > 0) {
-            summary += `\nPunti deboli: ${weaknesses.join(', ')}.`;
+            summary += `\n${t('Weaknesses', { list: weaknesses.join(', ') })}`;
         }
 
         return summary;
@@ -298,10 +301,12 @@ export class PartyAnalyzer {
 
     /**
      * Get party context formatted for LLM
+     * @param {Object} options - Options (stats: false leaves out hit points and AC, for players)
      * @returns {Promise<Object>} Context object
      */
-    static async getContextForLLM() {
+    static async getContextForLLM(options = {}) {
         const analysis = await this.analyzeParty();
+        const stats = options.stats !== false;
 
         return {
             party: analysis.members.map(m => ({
@@ -309,14 +314,14 @@ export class PartyAnalyzer {
                 class: m.class,
                 level: m.level,
                 race: m.race,
-                hp: m.hp,
-                maxHp: m.maxHp,
-                ac: m.ac
+                ...(stats ? { hp: m.hp, maxHp: m.maxHp, ac: m.ac } : {})
             })),
             averageLevel: analysis.averageLevel,
             partySize: analysis.count,
             roles: analysis.roles,
-            summary: analysis.summary
+            summary: stats || analysis.members.length === 0
+                ? analysis.summary
+                : this.buildPartySummary(analysis.members, analysis.averageLevel, analysis.roles, { stats: false })
         };
     }
 
@@ -368,7 +373,7 @@ export class PartyAnalyzer {
             partySize: analysis.count,
             averageLevel: analysis.averageLevel,
             xpBudget: totalXP,
-            suggestion: `Per uno scontro "${difficulty}" per questo party, il budget XP è circa ${totalXP} XP.`
+            suggestion: game.i18n.format('RYOMA.PartySummary.EncounterBudget', { difficulty, xp: totalXP })
         };
     }
 }
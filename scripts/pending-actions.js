@@ -0,0 +1,229 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Pending Actions - Proposed creations and modifications waiting for the GM's decision
+ */
+
+import { MODULE_ID } from './config.js';
+import { SettingsRelay } from './settings-relay.js';
+import { Capabilities } from './capabilities.js';
+import { CREATION_ACTIONS } from './creation-schema.js';
+
+/**
+ * Stores the actions Ryoma proposed, keyed by action id, so several proposals can
+ * wait side by side and their chat cards keep working after a reload
+ * (stored in a world setting, like the conversation history)
+ */
+export class PendingActions {
+    static SETTING_KEY = 'pendingActions';
+    static MAX_PENDING = 20; // Older proposals are dropped and their cards disabled
+    static EDITABLE = ['data', 'messageId']; // Fields update() may change
+
+    static taken = new Map(); // id -> action taken on this client, the only ones restore() puts back
+
+    /**
+     * Get all pending actions
+     * @returns {Object} Actions by id
+     */
+    static getAll() {
+        try {
+            return foundry.utils.deepClone(game.settings.get(MODULE_ID, this.SETTING_KEY) || {});
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error loading pending actions:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Get a pending action
+     * @param {string} id - Action id
+     * @returns {Object|null} { id, type, data, originalMessage, personaId, whisper, userId, messageId, createdAt }
+     */
+    static get(id) {
+        return this.getAll()[id] || null;
+    }
+
+    /**
+     * Get a user's most recent pending action, the one their `!R conferma` and `!R annulla` refer to
+     * @param {string} userId - User who asked for the action (defaults to the current one)
+     * @returns {Object|null} Action
+     */
+    static getLatest(userId = game.user.id) {
+        const actions = Object.values(this.getAll()).filter(action => action.userId === userId);
+        if (actions.length === 0) return null;
+        return actions.reduce((latest, action) => action.createdAt > latest.createdAt ? action : latest);
+    }
+
+    /**
+     * Register the pending action operations run through the GM for players.
+     * Each needs the capability of the kind of action it touches, and only the user who
+     * asked for an action (or a GM) may change it; clearing is for the GM only.
+     * Called from module.js during module init
+     */
+    static registerOperations() {
+        const forAction = (action, user) => {
+            if (!action) return null;
+            return this.canHandle(action, user) ? Capabilities.forAction(action.type) : false;
+        };
+        const forStored = ({ id }, user) => forAction(this.get(id), user);
+
+        SettingsRelay.register('pending.add', {
+            capability: ({ action }) => Capabilities.forAction(action?.type),
+            apply: ({ action }, user) => this.addAction(action, user)
+        });
+        SettingsRelay.register('pending.update', {
+            capability: forStored,
+            apply: ({ id, changes }) => this.updateAction(id, changes)
+        });
+        SettingsRelay.register('pending.take', {
+            capability: forStored,
+            apply: ({ id }) => this.takeAction(id)
+        });
+        SettingsRelay.register('pending.restore', {
+            capability: ({ id }, user) => forAction(this.taken.get(id), user),
+            apply: ({ id }) => this.restoreAction(id)
+        });
+        SettingsRelay.register('pending.clear', {
+            capability: (payload, user) => user.isGM ? null : false,
+            apply: () => this.save({})
+        });
+    }
+
+    /**
+     * Whether a user may confirm, edit or cancel an action: the one who asked for it, or a GM
+     * @param {Object} action - Pending action
+     * @param {User} user - User (defaults to the current one)
+     * @returns {boolean}
+     */
+    static canHandle(action, user = game.user) {
+        return action.userId === user.id || user.isGM;
+    }
+
+    /**
+     * Store a new proposal
+     * @param {Object} action - { type, data, originalMessage, personaId, whisper }
+     * @returns {Promise<Object>} Stored action with its id
+     */
+    static async add(action) {
+        return SettingsRelay.run('pending.add', { action });
+    }
+
+    /**
+     * Change a pending action (edited payload, card message id)
+     * @param {string} id - Action id
+     * @param {Object} changes - Fields to replace
+     * @returns {Promise<Object|null>} Updated action, or null when it is no longer pending
+     */
+    static async update(id, changes) {
+        return SettingsRelay.run('pending.update', { id, changes });
+    }
+
+    /**
+     * Take an action out of the pending list, so it is executed or cancelled only once
+     * @param {string} id - Action id
+     * @returns {Promise<Object|null>} The action, or null when it was already handled
+     */
+    static async take(id) {
+        return SettingsRelay.run('pending.take', { id });
+    }
+
+    /**
+     * Put back an action whose execution failed, so it can be edited and confirmed again
+     * @param {Object} action - Action taken with take()
+     */
+    static async restore(action) {
+        await SettingsRelay.run('pending.restore', { id: action.id });
+    }
+
+    /**
+     * Drop every pending action
+     */
+    static async clear() {
+        await SettingsRelay.run('pending.clear');
+        console.log(`${MODULE_ID} | Pending actions cleared`);
+    }
+
+    /**
+     * Store a new proposal (on the client that writes settings)
+     * @param {Object} action - { type, data, originalMessage, personaId, whisper }
+     * @param {User} user - User who asked for the action
+     * @returns {Promise<Object>} Stored action with its id
+     */
+    static async addAction(action, user = game.user) {
+        if (!CREATION_ACTIONS.includes(action?.type)) throw new Error(`Invalid action type: ${action?.type}`);
+
+        const actions = this.getAll();
+        const entry = {
+            messageId: null,
+            ...action,
+            id: foundry.utils.randomID(),
+            createdAt: new Date().toISOString(),
+            userId: user.id
+        };
+        actions[entry.id] = entry;
+
+        const sorted = Object.values(actions).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const old of sorted.slice(0, Math.max(0, sorted.length - this.MAX_PENDING))) {
+            delete actions[old.id];
+        }
+
+        await this.save(actions);
+        return entry;
+    }
+
+    /**
+     * Change a stored action (on the client that writes settings)
+     * @param {string} id - Action id
+     * @param {Object} changes - Fields to replace (only the EDITABLE ones are applied)
+     * @returns {Promise<Object|null>} Updated action, or null when it is no longer pending
+     */
+    static async updateAction(id, changes) {
+        const actions = this.getAll();
+        const action = actions[id];
+        if (!action) return null;
+        const allowed = Object.entries(changes ?? {}).filter(([key]) => this.EDITABLE.includes(key));
+        actions[id] = { ...action, ...Object.fromEntries(allowed) };
+        await this.save(actions);
+        return actions[id];
+    }
+
+    /**
+     * Remove a stored action (on the client that writes settings)
+     * @param {string} id - Action id
+     * @returns {Promise<Object|null>} The action, or null when it was already handled
+     */
+    static async takeAction(id) {
+        const actions = this.getAll();
+        const action = actions[id];
+        if (!action) return null;
+        delete actions[id];
+        await this.save(actions);
+
+        this.taken.set(id, action);
+        while (this.taken.size > this.MAX_PENDING) {
+            this.taken.delete(this.taken.keys().next().value);
+        }
+        return action;
+    }
+
+    /**
+     * Put back an action taken on this client (on the client that writes settings)
+     * @param {string} id - Id of an action taken with takeAction()
+     */
+    static async restoreAction(id) {
+        const action = this.taken.get(id);
+        if (!action) throw new Error(`Pending action not taken here: ${id}`);
+        this.taken.delete(id);
+
+        const actions = this.getAll();
+        actions[action.id] = action;
+        await this.save(actions);
+    }
+
+    /**
+     * Save the pending actions
+     * @param {Object} actions - Actions by id
+     */
+    static async save(actions) {
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, actions);
+    }
+}
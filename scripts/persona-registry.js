@@ -0,0 +1,172 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Persona Registry - Assistant personas with their own name, portrait, prefix, prompt and models
+ */
+
+import { MODULE_ID, CHAT_PREFIX, getSetting, setSetting, getModel } from './config.js';
+import { ChatVisibility } from './chat-visibility.js';
+
+/**
+ * The built-in persona. Its prompt is empty: the "identity" prompt section is used instead.
+ */
+const DEFAULT_PERSONA = {
+    id: 'ryoma',
+    name: 'Ryoma',
+    avatar: `modules/${MODULE_ID}/ryoma_avatar.jpg`,
+    prefix: CHAT_PREFIX,
+    prompt: '',
+    defaultModel: '',
+    complexModel: ''
+};
+
+/**
+ * Personas are stored per world, so each campaign keeps its own list and default
+ */
+export class PersonaRegistry {
+    static SETTING_KEY = 'personas';
+    static DEFAULT_ID = DEFAULT_PERSONA.id;
+    static FIELDS = ['name', 'avatar', 'prefix', 'prompt', 'defaultModel', 'complexModel'];
+    static NEW_PERSONA = { name: '', avatar: 'icons/svg/mystery-man.svg', prefix: '', prompt: '', defaultModel: '', complexModel: '' };
+
+    /**
+     * Get all personas (the built-in one first, possibly customized)
+     * @returns {Array<Object>} Personas
+     */
+    static getAll() {
+        const stored = getSetting(this.SETTING_KEY) || [];
+        const personas = stored.map(p => this.normalize(p));
+
+        if (!personas.some(p => p.id === DEFAULT_PERSONA.id)) {
+            personas.unshift({ ...DEFAULT_PERSONA });
+        }
+        return personas;
+    }
+
+    /**
+     * Get a persona by id
+     * @param {string} id - Persona id (defaults to the world's persona)
+     * @returns {Object} Persona, or the world's default when unknown
+     */
+    static get(id) {
+        const personas = this.getAll();
+        return personas.find(p => p.id === id)
+            || personas.find(p => p.id === getSetting('defaultPersona'))
+            || personas[0];
+    }
+
+    /**
+     * Get the world's default persona
+     * @returns {Object} Persona
+     */
+    static getDefault() {
+        return this.get(getSetting('defaultPersona'));
+    }
+
+    /**
+     * Find the persona addressed by a chat message.
+     * The world's default persona also answers to the standard !R prefix.
+     * A visibility override can follow the prefix: "!R/w ...", "!R/me ..." or "!R/pub ...".
+     * @param {string} content - Raw chat message
+     * @returns {Object|null} { persona, message, visibility } or null when no prefix matches
+     */
+    static matchPrefix(content) {
+        const trimmed = content.trim();
+        const personas = this.getAll();
+        const candidates = personas.map(p => ({ persona: p, prefix: p.prefix }));
+
+        // !R keeps working for the world's persona even if Ryoma's prefix was changed
+        if (!personas.some(p => p.prefix.toLowerCase() === CHAT_PREFIX.toLowerCase())) {
+            candidates.push({ persona: this.getDefault(), prefix: CHAT_PREFIX });
+        }
+
+        // Longest prefix first, so "!Sa" wins over "!S"
+        candidates.sort((a, b) => b.prefix.length - a.prefix.length);
+
+        for (const { persona, prefix } of candidates) {
+            if (!prefix || !trimmed.toLowerCase().startsWith(prefix.toLowerCase())) continue;
+
+            // The prefix must be a whole word: "!Roll" is not "!R oll"
+            let rest = trimmed.substring(prefix.length);
+            let visibility = null;
+            const override = rest.match(/^\/(\w+)(?=\s|$)/);
+            if (override) {
+                visibility = ChatVisibility.resolveOverride(override[1]);
+                if (!visibility) continue;
+                rest = rest.substring(override[0].length);
+            }
+            if (rest && !/^\s/.test(rest)) continue;
+
+            return { persona, message: rest.trim(), visibility };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the model a persona uses
+     * @param {Object} persona - Persona
+     * @param {boolean} isComplex - Whether to use the complex model
+     * @returns {string} Model identifier
+     */
+    static getModel(persona, isComplex = false) {
+        const model = isComplex ? persona?.complexModel : persona?.defaultModel;
+        return model?.trim() || getModel(isComplex);
+    }
+
+    /**
+     * Fill missing fields of a stored persona
+     * @param {Object} persona - Stored persona
+     * @returns {Object} Complete persona
+     */
+    static normalize(persona) {
+        const base = persona.id === DEFAULT_PERSONA.id ? DEFAULT_PERSONA : this.NEW_PERSONA;
+        const result = { id: persona.id || foundry.utils.randomID() };
+
+        for (const field of this.FIELDS) {
+            const value = typeof persona[field] === 'string' ? persona[field].trim() : '';
+            result[field] = value || base[field];
+        }
+        return result;
+    }
+
+    /**
+     * Check a persona list before saving
+     * @param {Array<Object>} personas - Personas
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    static validate(personas) {
+        const errors = [];
+        const prefixes = new Set();
+
+        for (const persona of personas) {
+            const prefix = persona.prefix.toLowerCase();
+            if (!persona.name) {
+                errors.push(game.i18n.localize('RYOMA.Persona.NameRequired'));
+            }
+            if (!/^!\S+$/.test(persona.prefix)) {
+                errors.push(game.i18n.format('RYOMA.Persona.InvalidPrefix', { name: persona.name, prefix: persona.prefix }));
+            } else if (prefixes.has(prefix)) {
+                errors.push(game.i18n.format('RYOMA.Persona.DuplicatePrefix', { prefix: persona.prefix }));
+            }
+            prefixes.add(prefix);
+        }
+        return errors;
+    }
+
+    /**
+     * Save the persona list and the world's default
+     * @param {Array<Object>} personas - Personas
+     * @param {string} defaultId - Id of the world's default persona
+     */
+    static async save(personas, defaultId) {
+        const normalized = personas.map(p => this.normalize(p));
+        const errors = this.validate(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        await setSetting(this.SETTING_KEY, normalized);
+        await setSetting('defaultPersona', normalized.some(p => p.id === defaultId) ? defaultId : DEFAULT_PERSONA.id);
+        console.log(`${MODULE_ID} | Saved ${normalized.length} personas`);
+    }
+}
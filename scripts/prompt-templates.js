@@ -0,0 +1,342 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Prompt Templates - Named, editable sections of the system prompt
+ */
+
+import { MODULE_ID, LANGUAGES, getSetting, setSetting, getLanguage } from './config.js';
+
+/**
+ * Default sections, in prompt order.
+ * `when` decides if a section applies to the current request; the text is editable
+ * by the GM and may use {{variables}} (see VARIABLES).
+ */
+const DEFAULT_SECTIONS = [
+    {
+        id: 'identity',
+        when: () => true,
+        template: `Sei {{personaName}}, l'assistente arcano del gruppo "Fuori D20". Sei un saggio consigliere per il Master di una campagna D&D 5e.
+
+REGOLE FONDAMENTALI:
+- Sei esperto di D&D 5e e delle sue regole
+- Sei amichevole, saggio e leggermente misterioso nel tono
+- Scrivi in grassetto i nomi esatti di incantesimi, oggetti, privilegi e mostri`
+    },
+    {
+        // Per-world house rules, tone and lore: empty until the GM writes something
+        id: 'campaign',
+        when: () => true,
+        template: ''
+    },
+    {
+        // Kept apart from the identity so it also applies to personas with their own prompt
+        id: 'language',
+        when: () => true,
+        template: `LINGUA:
+Rispondi SEMPRE in {{responseLanguage}}, anche se il contesto, i compendi o gli esempi sono in un'altra lingua.
+Scrivi in {{responseLanguage}} anche nomi e descrizioni di ciò che crei; i valori tecnici del JSON (tipi, abilità, tipi di danno) restano quelli indicati.`
+    },
+    {
+        id: 'creationFormat',
+        when: context => context.includeCreationGuide !== false && !context.structuredOutput,
+        template: `QUANDO TI VIENE CHIESTO DI CREARE QUALCOSA:
+Rispondi con un recap e poi un blocco JSON speciale con i marcatori:
+
+---RYOMA_CREATE_START---
+{JSON}
+---RYOMA_CREATE_END---`
+    },
+    {
+        // Replaces creationFormat when the model answers with a JSON schema (see StructuredOutput)
+        id: 'structuredFormat',
+        when: context => context.includeCreationGuide !== false && !!context.structuredOutput,
+        template: `QUANDO TI VIENE CHIESTO DI CREARE QUALCOSA:
+La tua risposta è un oggetto JSON con due campi:
+- "recap": il recap per il Master, in testo normale
+- "creation": l'oggetto {"action": ..., "data": ...} con la stessa struttura degli esempi, oppure null se non c'è nulla da creare o modificare
+Metti null nei campi che non ti servono.`
+    },
+    {
+        id: 'creationExamples',
+        when: context => context.includeCreationGuide !== false,
+        template: `=== STRUTTURA PER ARMA (weapon) ===
+{
+  "action": "create_item",
+  "data": {
+    "name": "Spada Infuocata",
+    "type": "weapon",
+    "description": "Una spada avvolta da fiamme arcane.",
+    "actionType": "mwak",
+    "damage": [
+      {"formula": "2d8", "type": "slashing"},
+      {"formula": "2d8", "type": "fire"}
+    ],
+    "save": {
+      "ability": "con",
+      "dc": 15,
+      "effect": "prono"
+    },
+    "range": {"value": 5, "units": "ft"},
+    "properties": ["magical"]
+  }
+}
+
+=== STRUTTURA PER INCANTESIMO (spell) ===
+{
+  "action": "create_item",
+  "data": {
+    "name": "Testfuoco",
+    "type": "spell",
+    "description": "Un devastante incantesimo di fuoco.",
+    "level": 3,
+    "school": "evo",
+    "actionType": "save",
+    "damage": [
+      {"formula": "8d6", "type": "fire"}
+    ],
+    "save": {
+      "ability": "dex",
+      "effect": "half"
+    },
+    "range": {"value": 120, "units": "ft"},
+    "target": {"value": 20, "units": "ft", "type": "sphere"},
+    "components": {"vocal": true, "somatic": true, "material": false}
+  }
+}
+
+=== STRUTTURA PER ACTOR (NPC/Mostro) ===
+{
+  "action": "create_actor",
+  "data": {
+    "name": "Goblin Arciere",
+    "type": "npc",
+    "cr": 0.25,
+    "size": "sm",
+    "creatureType": "humanoid",
+    "abilities": {"str": 8, "dex": 14, "con": 10, "int": 10, "wis": 8, "cha": 8},
+    "hp": {"max": 7, "formula": "2d6"},
+    "ac": {"value": 15},
+    "speed": {"walk": 30},
+    "languages": ["Common", "Goblin"],
+    "senses": {"darkvision": 60},
+    "biography": "Un piccolo goblin armato di arco.",
+    "items": [
+      {"type": "spell", "name": "Passo velato", "fromCompendium": true},
+      {"type": "weapon", "name": "Arco corto", "fromCompendium": true},
+      {"type": "weapon", "name": "Lama Infuocata", "custom": {
+        "description": "Una lama avvolta dal fuoco",
+        "damage": [{"formula": "1d6", "type": "slashing"}, {"formula": "1d6", "type": "fire"}],
+        "actionType": "mwak",
+        "save": {"ability": "con", "dc": 12, "effect": "prono"}
+      }},
+      {"type": "spell", "name": "Fiamma Maledetta", "custom": {
+        "description": "Un incantesimo oscuro che brucia l'anima",
+        "level": 2,
+        "school": "nec",
+        "damage": [{"formula": "3d8", "type": "fire"}, {"formula": "2d6", "type": "necrotic"}],
+        "actionType": "save",
+        "save": {"ability": "dex", "effect": "half"},
+        "range": {"value": 60, "units": "ft"}
+      }}
+    ]
+  }
+}`
+    },
+    {
+        id: 'reference',
+        when: context => context.includeCreationGuide !== false,
+        template: `=== REGOLE IMPORTANTI ===
+TIPI DI DANNO: acid, bludgeoning, cold, fire, force, lightning, necrotic, piercing, poison, psychic, radiant, slashing, thunder
+ABILITÀ TIRI SALVEZZA: str, dex, con, int, wis, cha
+ACTION TYPES: mwak (mischia arma), rwak (distanza arma), msak (mischia incantesimo), rsak (distanza incantesimo), save (tiro salvezza)
+SCUOLE MAGIA: abj, con, div, enc, evo, ill, nec, trs
+
+PER ITEMS DAI COMPENDI: usa {"name": "Nome esatto", "fromCompendium": true}
+PER ITEMS CUSTOM: usa {"name": "Nome", "custom": {...tutti i dati...}}`
+    },
+    {
+        id: 'party',
+        when: context => context.party?.length > 0,
+        template: `{{partyHeader}}
+{{partyList}}`
+    },
+    {
+        // Detailed party analysis (roles, weaknesses) for encounter design
+        id: 'partySummary',
+        when: context => context.includePartySummary && !!context.partySummary,
+        template: `ANALISI PARTY:
+{{partySummary}}`
+    },
+    {
+        id: 'compendiums',
+        when: context => Object.values(context.compendiums || {}).some(packs => packs?.length > 0),
+        template: `COMPENDI DISPONIBILI:
+{{compendiumList}}`
+    },
+    {
+        // Summary of older conversation that did not fit the budget
+        id: 'historySummary',
+        when: context => !!context.historySummary,
+        template: `RIASSUNTO CONVERSAZIONI PRECEDENTI:
+{{historySummary}}`
+    },
+    {
+        id: 'image',
+        when: context => !!context.image,
+        template: `IMMAGINE ALLEGATA ({{imageName}}):
+Il Master ha allegato un'immagine alla richiesta. Osservala con attenzione e basati su ciò che vedi: tipo di creatura, taglia, armi, armature, elementi magici e atteggiamento.
+Se ti chiede di creare una creatura, ricava dall'immagine statistiche, attacchi e capacità coerenti e spiega brevemente nel recap cosa hai dedotto dall'immagine.`
+    },
+    {
+        id: 'tools',
+        when: context => !!context.toolsEnabled,
+        template: `STRUMENTI:
+Puoi consultare compendi, party e Actors con gli strumenti a tua disposizione.
+- Prima di proporre mostri, incantesimi o oggetti esistenti, verifica che esistano nei compendi
+- Usa i nomi esatti trovati negli strumenti per gli items "fromCompendium"
+- Per bilanciare uno scontro calcola il budget PE del party
+- Non inventare statistiche di Actors esistenti: leggile con gli strumenti`
+    }
+];
+
+/**
+ * Builds the system prompt from the default sections and the GM's overrides
+ * (stored in a world setting as { [sectionId]: { template, enabled } })
+ */
+export class PromptTemplates {
+    static SETTING_KEY = 'promptTemplates';
+    static VARIABLES = ['personaName', 'responseLanguage', 'worldName', 'partySize', 'averageLevel', 'partyList', 'partySummary', 'compendiumList', 'historySummary', 'imageName', 'partyHeader'];
+
+    /**
+     * Get the GM's overrides
+     * @returns {Object} Overrides by section id
+     */
+    static getOverrides() {
+        return getSetting(this.SETTING_KEY) || {};
+    }
+
+    /**
+     * Get all sections with the overrides applied
+     * @returns {Array<Object>} { id, when, template, defaultTemplate, enabled, customized }
+     */
+    static getSections() {
+        const overrides = this.getOverrides();
+
+        return DEFAULT_SECTIONS.map(section => {
+            const override = overrides[section.id] || {};
+            const template = typeof override.template === 'string' ? override.template : section.template;
+            const enabled = override.enabled !== false;
+
+            return {
+                id: section.id,
+                when: section.when,
+                template,
+                defaultTemplate: section.template,
+                enabled,
+                customized: template !== section.template || !enabled
+            };
+        });
+    }
+
+    /**
+     * Get the default text of a section
+     * @param {string} id - Section id
+     * @returns {string} Default template
+     */
+    static getDefault(id) {
+        return DEFAULT_SECTIONS.find(s => s.id === id)?.template ?? '';
+    }
+
+    /**
+     * Build the variables available to the templates
+     * @param {Object} context - Prompt context
+     * @returns {Object} Variable values
+     */
+    static buildVariables(context = {}) {
+        const party = context.party || [];
+        const notAvailable = game.i18n.localize('RYOMA.Prompt.NotAvailable');
+        const language = LANGUAGES[context.language] ? context.language : getLanguage();
+        const compendiumList = Object.entries(context.compendiums || {})
+            .filter(([, packs]) => packs?.length > 0)
+            .map(([category, packs]) => `- ${category}: ${packs.join(', ')}`)
+            .join('\n');
+
+        return {
+            personaName: context.persona?.name || 'Ryoma',
+            responseLanguage: game.i18n.localize(`RYOMA.Prompt.LanguageNames.${language}`),
+            worldName: game.world?.title || '',
+            partySize: party.length,
+            averageLevel: context.averageLevel || notAvailable,
+            partyList: party.map(m => `- ${m.name}: ${m.class || notAvailable} Lv${m.level || '?'}`).join('\n'),
+            partySummary: context.partySummary || '',
+            compendiumList,
+            historySummary: context.historySummary || '',
+            imageName: context.image?.name || '',
+            partyHeader: game.i18n.format('RYOMA.Prompt.PartyHeader', {
+                size: party.length,
+                level: context.averageLevel || notAvailable
+            })
+        };
+    }
+
+    /**
+     * Replace {{variables}} in a template (unknown names are left untouched)
+     * @param {string} template - Template text
+     * @param {Object} variables - Variable values
+     * @returns {string} Rendered text
+     */
+    static render(template, variables) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            name in variables ? String(variables[name] ?? '') : match
+        );
+    }
+
+    /**
+     * Build the system prompt
+     * @param {Object} context - Prompt context
+     * @param {Array<Object>} sections - Sections to use (defaults to the saved ones, used by the editor preview)
+     * @returns {string} System prompt
+     */
+    static build(context = {}, sections = this.getSections()) {
+        const variables = this.buildVariables(context);
+        const personaPrompt = context.persona?.prompt;
+
+        return sections
+            .filter(section => section.enabled && section.when(context))
+            // A persona's own prompt replaces the identity section
+            .map(section => (section.id === 'identity' && personaPrompt) ? personaPrompt : section.template)
+            .map(template => this.render(template, variables).trim())
+            .filter(text => text.length > 0)
+            .join('\n\n');
+    }
+
+    /**
+     * Save the sections edited by the GM, keeping only what differs from the defaults
+     * @param {Object} edited - { [sectionId]: { template, enabled } }
+     */
+    static async save(edited) {
+        const overrides = {};
+
+        for (const section of DEFAULT_SECTIONS) {
+            const entry = edited[section.id];
+            if (!entry) continue;
+
+            const override = {};
+            if (typeof entry.template === 'string' && entry.template.replace(/\r\n/g, '\n') !== section.template) {
+                override.template = entry.template.replace(/\r\n/g, '\n');
+            }
+            if (entry.enabled === false) override.enabled = false;
+            if (Object.keys(override).length > 0) overrides[section.id] = override;
+        }
+
+        await setSetting(this.SETTING_KEY, overrides);
+        console.log(`${MODULE_ID} | Prompt templates saved (${Object.keys(overrides).length} customized sections)`);
+    }
+
+    /**
+     * Restore every section to its default
+     */
+    static async reset() {
+        await setSetting(this.SETTING_KEY, {});
+        console.log(`${MODULE_ID} | Prompt templates reset to default`);
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Request Queue - Orders the requests of every user instead of rejecting concurrent ones
+ */
+
+import { MODULE_ID, getSetting } from './config.js';
+import { LLMClient } from './llm-client.js';
+
+/**
+ * Shared queue of Ryoma requests.
+ * The active GM's client hosts the queue: the other clients send their requests over the
+ * module socket and start them when the host lists them as running. Without an active GM
+ * each client queues its own requests. A user's requests run one at a time, in order;
+ * the parallelism setting limits how many users are served at once.
+ */
+export class RequestQueue {
+    static SOCKET_PREFIX = 'queue.';
+    static HANDOVER_WINDOW = 10000; // ms after a host change in which clients may re-enqueue running requests
+
+    static waiting = []; // Host only: { id, userId, userName } in arrival order
+    static running = []; // Host only
+    static state = { waiting: [], running: [] }; // Last state received from the host
+    static local = new Map(); // id -> { resolve, reject, onWait, entry, granted } of this client's requests
+    static hostId = null;
+    static hostSince = 0; // When this client saw the last host change
+
+    /**
+     * Follow host changes (GMs connecting or leaving)
+     */
+    static init() {
+        this.hostId = this.getHost()?.id ?? null;
+        this.hostSince = Date.now(); // A GM who just loaded takes the requests of the other clients back
+        Hooks.on('userConnected', this.onUserConnected.bind(this));
+    }
+
+    /**
+     * Get the user hosting the queue: the active GM, otherwise this client
+     * @returns {User} Host user
+     */
+    static getHost() {
+        return game.users.activeGM || game.user;
+    }
+
+    /**
+     * Whether this client hosts the queue
+     * @returns {boolean}
+     */
+    static isHost() {
+        return this.getHost()?.id === game.user.id;
+    }
+
+    /**
+     * Wait for a turn
+     * @param {Object} options - Options (signal cancels the wait, onWait(position, ahead) reports the queue)
+     * @returns {Promise<string>} Request id, to pass to release()
+     */
+    static acquire(options = {}) {
+        const entry = { id: foundry.utils.randomID(), userId: game.user.id, userName: game.user.name };
+
+        return new Promise((resolve, reject) => {
+            if (options.signal?.aborted) {
+                reject(LLMClient.createCancelledError());
+                return;
+            }
+
+            this.local.set(entry.id, { resolve, reject, onWait: options.onWait, entry, granted: false });
+
+            options.signal?.addEventListener('abort', () => {
+                const request = this.local.get(entry.id);
+                if (!request || request.granted) return;
+                this.local.delete(entry.id);
+                this.send('remove', { id: entry.id });
+                reject(LLMClient.createCancelledError());
+            }, { once: true });
+
+            this.send('enqueue', { entry });
+        });
+    }
+
+    /**
+     * Free the turn of a finished request
+     * @param {string} id - Request id
+     */
+    static release(id) {
+        if (!id) return;
+        this.local.delete(id);
+        this.send('remove', { id });
+    }
+
+    /**
+     * Send a queue operation to the host (handled directly when this client is the host)
+     * @param {string} action - Operation name
+     * @param {Object} data - Payload
+     */
+    static send(action, data) {
+        const message = { action: `${this.SOCKET_PREFIX}${action}`, ...data };
+        if (this.isHost()) {
+            this.onSocket(message, game.user.id);
+        } else {
+            game.socket.emit(`module.${MODULE_ID}`, message);
+        }
+    }
+
+    /**
+     * Handle a queue message from the module socket
+     * @param {Object} data - Socket message
+     * @param {string} senderId - User who sent it (as reported by the server, never taken from the message)
+     */
+    static onSocket(data, senderId = null) {
+        switch (data.action) {
+            case `${this.SOCKET_PREFIX}enqueue`: {
+                if (!this.isHost()) return;
+                const sender = game.users.get(senderId);
+                if (!sender?.active || typeof data.entry?.id !== 'string') return;
+
+                // Another user's request with the same id is not replaced
+                const existing = this.find(data.entry.id);
+                if (existing && existing.userId !== sender.id) return;
+                this.remove(data.entry.id);
+
+                // Requests already running are only taken back right after a host change
+                const entry = { id: data.entry.id, userId: sender.id, userName: sender.name };
+                const running = data.running && Date.now() - this.hostSince < this.HANDOVER_WINDOW;
+                (running ? this.running : this.waiting).push(entry);
+                this.schedule();
+                break;
+            }
+
+            case `${this.SOCKET_PREFIX}remove`: {
+                if (!this.isHost()) return;
+                const sender = game.users.get(senderId);
+                const entry = this.find(data.id);
+                if (!sender || !entry || (entry.userId !== sender.id && !sender.isGM)) return;
+                this.remove(data.id);
+                this.schedule();
+                break;
+            }
+
+            case `${this.SOCKET_PREFIX}state`:
+                this.applyState(data.state);
+                break;
+        }
+    }
+
+    /**
+     * Host: find a request in the queue
+     * @param {string} id - Request id
+     * @returns {Object|undefined} Entry
+     */
+    static find(id) {
+        return this.running.find(e => e.id === id) ?? this.waiting.find(e => e.id === id);
+    }
+
+    /**
+     * Host: drop a request from the queue
+     * @param {string} id - Request id
+     */
+    static remove(id) {
+        this.waiting = this.waiting.filter(e => e.id !== id);
+        this.running = this.running.filter(e => e.id !== id);
+    }
+
+    /**
+     * Host: start the waiting requests that can run, then share the queue with every client
+     */
+    static schedule() {
+        const limit = Math.max(0, Number(getSetting('maxParallelRequests')) || 0);
+
+        for (const entry of [...this.waiting]) {
+            if (limit > 0 && this.running.length >= limit) break;
+            // One request per user at a time, in the order they were sent
+            if (this.running.some(r => r.userId === entry.userId)) continue;
+
+            this.waiting = this.waiting.filter(e => e.id !== entry.id);
+            this.running.push(entry);
+        }
+
+        const state = { waiting: [...this.waiting], running: [...this.running] };
+        game.socket.emit(`module.${MODULE_ID}`, { action: `${this.SOCKET_PREFIX}state`, state });
+        this.applyState(state);
+    }
+
+    /**
+     * Start the local requests the host lets through and tell the others where they are
+     * @param {Object} state - { waiting, running }
+     */
+    static applyState(state) {
+        this.state = state;
+
+        for (const [id, request] of this.local) {
+            if (request.granted) continue;
+
+            if (state.running.some(e => e.id === id)) {
+                request.granted = true;
+                request.resolve(id);
+                continue;
+            }
+
+            const index = state.waiting.findIndex(e => e.id === id);
+            if (index < 0) continue;
+            const ahead = [...state.running, ...state.waiting.slice(0, index)].map(e => e.userName);
+            request.onWait?.(index + 1, [...new Set(ahead)]);
+        }
+    }
+
+    /**
+     * Hand this client's requests to a new host when the active GM changes, and drop the
+     * requests of users who left (they would hold their turn forever)
+     * @param {User} user - User who connected or left
+     * @param {boolean} connected - Whether the user connected
+     */
+    static onUserConnected(user, connected) {
+        const hostId = this.getHost()?.id ?? null;
+        if (hostId !== this.hostId) {
+            this.hostId = hostId;
+            this.hostSince = Date.now();
+
+            // The previous host's queue is rebuilt by the new one
+            this.waiting = [];
+            this.running = [];
+
+            for (const request of this.local.values()) {
+                this.send('enqueue', { entry: request.entry, running: request.granted });
+            }
+            if (this.isHost()) this.dropInactive();
+            return;
+        }
+
+        if (!connected && this.isHost()) {
+            this.waiting = this.waiting.filter(e => e.userId !== user.id);
+            this.running = this.running.filter(e => e.userId !== user.id);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Host: drop the requests of users who are no longer connected
+     */
+    static dropInactive() {
+        const active = entry => game.users.get(entry.userId)?.active;
+        const before = this.waiting.length + this.running.length;
+        this.waiting = this.waiting.filter(active);
+        this.running = this.running.filter(active);
+        if (this.waiting.length + this.running.length !== before) this.schedule();
+    }
+}
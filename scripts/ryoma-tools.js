@@ -0,0 +1,231 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Ryoma Tools - Function definitions the model can call to query the world
+ */
+
+import { MODULE_ID, COMPENDIUM_CATEGORIES } from './config.js';
+import { CompendiumBrowser } from './compendium-browser.js';
+import { PartyAnalyzer } from './party-analyzer.js';
+import { ActorManager } from './actor-manager.js';
+import { Capabilities } from './capabilities.js';
+
+/**
+ * Exposes module lookups as LLM tools and executes the model's tool calls
+ */
+export class RyomaTools {
+    static MAX_RESULT_LENGTH = 6000; // Characters of JSON sent back per tool result
+
+    /**
+     * Tool registry: JSON schema parameters, a status label (i18n key), the handler,
+     * and gmOnly for tools that read what players should not see
+     */
+    static TOOLS = {
+        search_compendium: {
+            description: 'Cerca per nome nei compendi configurati di una categoria (mostri, incantesimi, oggetti, classi...). Restituisce nome, UUID, tipo, GS o livello.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    category: {
+                        type: 'string',
+                        enum: Object.keys(COMPENDIUM_CATEGORIES),
+                        description: 'Categoria di compendi in cui cercare'
+                    },
+                    query: { type: 'string', description: 'Testo contenuto nel nome' },
+                    limit: { type: 'integer', description: 'Numero massimo di risultati (default 10)' }
+                },
+                required: ['category', 'query']
+            },
+            label: 'RYOMA.Tools.SearchCompendium',
+            handler: async (args) => CompendiumBrowser.search(args.category, args.query || '', args.limit || 10)
+        },
+
+        get_compendium_entry: {
+            description: 'Legge i dati completi di una voce di compendio (statistiche di un mostro, dettagli di un incantesimo o oggetto) dato il suo UUID.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    uuid: { type: 'string', description: 'UUID della voce, es. Compendium.dnd5e.monsters.Actor.xyz' }
+                },
+                required: ['uuid']
+            },
+            label: 'RYOMA.Tools.GetCompendiumEntry',
+            handler: async (args) => CompendiumBrowser.getEntry(args.uuid)
+        },
+
+        get_actors_by_cr: {
+            description: 'Elenca mostri/NPC dei compendi entro un intervallo di Grado Sfida, opzionalmente filtrati per tipo di creatura.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    minCR: { type: 'number', description: 'GS minimo (default 0)' },
+                    maxCR: { type: 'number', description: 'GS massimo (default 30)' },
+                    creatureType: { type: 'string', description: 'Tipo di creatura in inglese, es. undead, humanoid, dragon' },
+                    limit: { type: 'integer', description: 'Numero massimo di risultati (default 10)' }
+                }
+            },
+            label: 'RYOMA.Tools.GetActorsByCr',
+            gmOnly: true,
+            handler: async (args) => CompendiumBrowser.getActorsByCR(args)
+        },
+
+        get_spells_by_level: {
+            description: 'Elenca incantesimi dei compendi per livello ed eventualmente scuola di magia.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    level: { type: 'integer', description: 'Livello dell\'incantesimo (0 = trucchetto)' },
+                    school: {
+                        type: 'string',
+                        enum: ['abj', 'con', 'div', 'enc', 'evo', 'ill', 'nec', 'trs'],
+                        description: 'Scuola di magia'
+                    },
+                    limit: { type: 'integer', description: 'Numero massimo di risultati (default 10)' }
+                }
+            },
+            label: 'RYOMA.Tools.GetSpellsByLevel',
+            handler: async (args) => CompendiumBrowser.getSpellsByLevel(args)
+        },
+
+        calculate_encounter_budget: {
+            description: 'Calcola il budget di PE per uno scontro in base al party configurato e alla difficoltà.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    difficulty: {
+                        type: 'string',
+                        enum: ['easy', 'medium', 'hard', 'deadly'],
+                        description: 'Difficoltà dello scontro'
+                    }
+                },
+                required: ['difficulty']
+            },
+            label: 'RYOMA.Tools.CalculateEncounterBudget',
+            handler: async (args) => PartyAnalyzer.calculateEncounterBudget(args.difficulty || 'medium')
+        },
+
+        get_actor_info: {
+            description: 'Legge statistiche, oggetti e descrizione di un Actor del mondo, dato il suo UUID oppure il nome esatto.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    uuid: { type: 'string', description: 'UUID dell\'Actor' },
+                    name: { type: 'string', description: 'Nome dell\'Actor, se l\'UUID non è noto' }
+                }
+            },
+            label: 'RYOMA.Tools.GetActorInfo',
+            gmOnly: true,
+            handler: async (args) => {
+                let uuid = args.uuid;
+                if (!uuid && args.name) {
+                    uuid = ActorManager.findActorByName(args.name)?.uuid;
+                }
+                if (!uuid) return { error: `Actor not found: ${args.name || ''}` };
+                return ActorManager.getActorInfo(uuid);
+            }
+        }
+    };
+
+    /**
+     * Get tool definitions in the OpenAI function-calling format
+     * @param {Object} options - Options (gmContext: false leaves out what players should not see)
+     * @returns {Array<Object>} Tool definitions
+     */
+    static getDefinitions(options = {}) {
+        const gmContext = options.gmContext !== false;
+        return Object.entries(this.TOOLS)
+            .filter(([, tool]) => gmContext || !tool.gmOnly)
+            .map(([name, tool]) => ({
+                type: 'function',
+                function: {
+                    name,
+                    description: tool.description,
+                    parameters: gmContext ? tool.parameters : this.withoutHiddenCategories(tool.parameters)
+                }
+            }));
+    }
+
+    /**
+     * Remove the categories hidden from players from a tool's parameters
+     * @param {Object} parameters - JSON schema parameters
+     * @returns {Object} Parameters for players
+     */
+    static withoutHiddenCategories(parameters) {
+        const category = parameters.properties?.category;
+        if (!category?.enum) return parameters;
+
+        return {
+            ...parameters,
+            properties: {
+                ...parameters.properties,
+                category: { ...category, enum: category.enum.filter(c => !Capabilities.HIDDEN_CATEGORIES.includes(c)) }
+            }
+        };
+    }
+
+    /**
+     * Whether a player may run a tool call (no GM-only tools, monster categories or Actor entries)
+     * @param {Object} tool - Tool definition
+     * @param {Object} args - Parsed arguments
+     * @returns {boolean}
+     */
+    static isAllowedForPlayers(tool, args) {
+        if (tool.gmOnly) return false;
+        if (Capabilities.HIDDEN_CATEGORIES.includes(args.category)) return false;
+        if (args.uuid) {
+            const parsed = foundry.utils.parseUuid(args.uuid);
+            if ((parsed?.type ?? parsed?.collection?.documentName) === 'Actor') return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the status label shown while a tool runs
+     * @param {string} name - Tool name
+     * @returns {string} Label
+     */
+    static getLabel(name) {
+        const label = this.TOOLS[name]?.label;
+        return label ? game.i18n.localize(label) : name;
+    }
+
+    /**
+     * Execute a tool call requested by the model
+     * @param {string} name - Tool name
+     * @param {string|Object} rawArgs - JSON arguments string or parsed object
+     * @param {Object} options - Options (gmContext: false refuses what players should not see)
+     * @returns {Promise<string>} JSON-encoded result for the model
+     */
+    static async execute(name, rawArgs, options = {}) {
+        const tool = this.TOOLS[name];
+        if (!tool) {
+            return JSON.stringify({ error: `Unknown tool: ${name}` });
+        }
+
+        let args = rawArgs || {};
+        if (typeof args === 'string') {
+            try {
+                args = args.trim() ? JSON.parse(args) : {};
+            } catch (e) {
+                return JSON.stringify({ error: `Invalid JSON arguments: ${e.message}` });
+            }
+        }
+
+        if (options.gmContext === false && !this.isAllowedForPlayers(tool, args)) {
+            return JSON.stringify({ error: `Not available to players: ${name}` });
+        }
+
+        try {
+            const result = await tool.handler(args);
+            const json = JSON.stringify(result ?? null);
+            console.log(`${MODULE_ID} | Tool ${name}`, args);
+
+            if (json.length > this.MAX_RESULT_LENGTH) {
+                return `${json.substring(0, this.MAX_RESULT_LENGTH)}... ${game.i18n.localize('RYOMA.Tools.ResultTruncated')}`;
+            }
+            return json;
+        } catch (error) {
+            console.error(`${MODULE_ID} | Tool ${name} failed:`, error);
+            return JSON.stringify({ error: error.message });
+        }
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Settings Relay - Lets players update the world data Ryoma keeps for everyone
+ */
+
+import { MODULE_ID } from './config.js';
+import { Capabilities } from './capabilities.js';
+
+/**
+ * Players cannot write world settings, but their conversations still go into the shared
+ * history, usage ledger, pending actions and undo history. Instead of whole values, they send
+ * named operations (append a message, record a usage entry, add a proposal...) over the module
+ * socket to the active GM, who checks the capabilities of the sender reported by the server,
+ * applies the operation to the current value and answers the sender only. Operations are applied one at a time on the writing
+ * client, so concurrent requests do not overwrite each other.
+ */
+export class SettingsRelay {
+    static SOCKET_PREFIX = 'settings.';
+    static TIMEOUT = 10000; // ms to wait for the GM's acknowledgement
+
+    static operations = new Map(); // name -> { capability, apply } registered by the data owners
+    static pending = new Map(); // id -> { resolve, timer } of this client's operations
+    static queue = Promise.resolve(); // Writes applied on this client, in order
+
+    /**
+     * Register an operation
+     * @param {string} name - Operation name (e.g. 'history.append')
+     * @param {Object} operation - { capability, apply(payload, user) }: capability is the one the
+     *                             sender needs (null = may talk to Ryoma at all) or a function of
+     *                             the payload and the sender returning it, false when never allowed
+     */
+    static register(name, operation) {
+        this.operations.set(name, operation);
+    }
+
+    /**
+     * Run an operation, through the active GM when this user cannot write world settings
+     * @param {string} name - Operation name
+     * @param {Object} payload - Operation data
+     * @returns {Promise<*>} Result of the operation, null when no GM could apply it
+     */
+    static async run(name, payload = {}) {
+        if (game.user.can('SETTINGS_MODIFY')) {
+            return this.apply(name, payload, game.user);
+        }
+
+        const gm = game.users.activeGM;
+        if (!gm) {
+            console.warn(`${MODULE_ID} | No GM connected: ${name} not applied`);
+            return null;
+        }
+
+        const id = foundry.utils.randomID();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                console.warn(`${MODULE_ID} | The GM did not confirm ${name}`);
+                resolve(null);
+            }, this.TIMEOUT);
+            this.pending.set(id, { resolve, timer });
+
+            game.socket.emit(`module.${MODULE_ID}`, {
+                action: `${this.SOCKET_PREFIX}run`,
+                id,
+                operation: name,
+                payload,
+                gmId: gm.id
+            });
+        });
+    }
+
+    /**
+     * Apply an operation on this client, after the writes already in progress
+     * @param {string} name - Operation name
+     * @param {Object} payload - Operation data
+     * @param {User} user - User the operation is applied for
+     * @returns {Promise<*>} Result of the operation
+     */
+    static apply(name, payload, user) {
+        const operation = this.operations.get(name);
+        if (!operation) return Promise.reject(new Error(`Unknown settings operation: ${name}`));
+
+        const capability = typeof operation.capability === 'function'
+            ? operation.capability(payload, user)
+            : operation.capability ?? null;
+        if (capability === false || !Capabilities.can(capability || null, user)) {
+            return Promise.reject(new Error(`${user.name} may not run ${name}`));
+        }
+
+        const result = this.queue.then(() => operation.apply(payload, user));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Handle a relay message from the module socket
+     * @param {Object} data - Socket message
+     * @param {string} senderId - User who sent it (as reported by the server, never taken from the message)
+     */
+    static async onSocket(data, senderId = null) {
+        switch (data.action) {
+            case `${this.SOCKET_PREFIX}run`: {
+                if (data.gmId !== game.user.id) return;
+
+                let result = null;
+                let error = null;
+                const user = senderId ? game.users.get(senderId) : null;
+                try {
+                    if (!user) throw new Error(`Unknown sender: ${senderId}`);
+                    result = await this.apply(data.operation, data.payload ?? {}, user);
+                } catch (e) {
+                    error = e.message;
+                    console.error(`${MODULE_ID} | Relayed ${data.operation} failed:`, error);
+                }
+
+                // Every client receives the reply: only the requester reads it
+                game.socket.emit(`module.${MODULE_ID}`, {
+                    action: `${this.SOCKET_PREFIX}done`,
+                    id: data.id,
+                    userId: senderId ?? null,
+                    result: result ?? null,
+                    error
+                });
+                break;
+            }
+
+            case `${this.SOCKET_PREFIX}done`: {
+                if (data.userId !== game.user.id) return;
+                const request = this.pending.get(data.id);
+                if (!request) return;
+                this.pending.delete(data.id);
+                clearTimeout(request.timer);
+                request.resolve(data.error ? null : data.result);
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Token Budget - Estimate tokens and fit the context to the model's window
+ */
+
+import { MODULE_ID, getSetting, getModelInfo } from './config.js';
+import { ConversationManager } from './conversation-manager.js';
+
+/**
+ * Assembles system prompt, party, compendium context and history within a token budget
+ */
+export class TokenBudget {
+    static CHARS_PER_TOKEN = 3.5; // Conservative for Italian text and JSON
+    static MESSAGE_OVERHEAD = 4; // Role and separators per message
+    static DEFAULT_CONTEXT_LENGTH = 8192; // Unknown models (e.g. local servers)
+    static AUTO_BUDGET_CAP = 16000; // Automatic budget ceiling, to keep costs down on huge windows
+    static OUTPUT_RESERVE = 4096; // Tokens left for the answer (matches max_tokens)
+    static MAX_HISTORY_MESSAGE_TOKENS = 1200; // Longer history entries (statblocks) are truncated
+    static SUMMARY_MAX_TOKENS = 300;
+
+    /**
+     * Estimate the tokens of a text
+     * @param {string} text - Text
+     * @returns {number} Estimated tokens
+     */
+    static estimate(text) {
+        if (!text) return 0;
+        return Math.ceil(String(text).length / this.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Estimate the tokens of a chat message
+     * @param {Object} message - Message with content
+     * @returns {number} Estimated tokens
+     */
+    static estimateMessage(message) {
+        const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+        return this.estimate(content) + this.MESSAGE_OVERHEAD;
+    }
+
+    /**
+     * Get the context window of a model
+     * @param {string} modelId - Model identifier
+     * @returns {number} Context length in tokens
+     */
+    static getContextLength(modelId) {
+        return getModelInfo(modelId)?.contextLength || this.DEFAULT_CONTEXT_LENGTH;
+    }
+
+    /**
+     * Get the input token budget for a model
+     * @param {string} modelId - Model identifier
+     * @returns {number} Tokens available for the prompt
+     */
+    static getBudget(modelId) {
+        const available = Math.max(1024, this.getContextLength(modelId) - this.OUTPUT_RESERVE);
+        const configured = Number(getSetting('contextBudget')) || 0;
+
+        if (configured > 0) return Math.min(configured, available);
+        return Math.min(this.AUTO_BUDGET_CAP, available);
+    }
+
+    /**
+     * Trim a single history message that is too long
+     * @param {Object} message - History message
+     * @returns {Object} Message, truncated if needed
+     */
+    static truncateMessage(message) {
+        const maxChars = Math.floor(this.MAX_HISTORY_MESSAGE_TOKENS * this.CHARS_PER_TOKEN);
+        if (!message.content || message.content.length <= maxChars) return message;
+
+        return {
+            ...message,
+            content: `${message.content.substring(0, maxChars)}\n[...${game.i18n.localize('RYOMA.History.Truncated')}...]`
+        };
+    }
+
+    /**
+     * Fit the context into the model's budget.
+     * The newest history is kept first; older messages are summarised. The compendium
+     * list and then the party details are dropped only if the prompt alone is too large.
+     * @param {Object} context - Context from ChatHandler.buildContext
+     * @param {string} userMessage - Current user message
+     * @param {Object} options - { model, buildSystemPrompt, reserved }
+     * @returns {Object} Fitted context plus a `budget` report
+     */
+    static fitContext(context, userMessage, options = {}) {
+        const budget = this.getBudget(options.model);
+        const buildPrompt = options.buildSystemPrompt;
+        const fitted = { ...context, history: [], historySummary: '' };
+
+        const fixed = this.estimate(userMessage) + this.MESSAGE_OVERHEAD + (options.reserved || 0);
+        const promptTokens = () => this.estimate(buildPrompt(fitted)) + this.MESSAGE_OVERHEAD;
+
+        // Optional sections go first when even the bare system prompt is too large
+        if (fixed + promptTokens() > budget && fitted.compendiums) {
+            fitted.compendiums = {};
+        }
+        if (fixed + promptTokens() > budget && fitted.party) {
+            fitted.party = [];
+        }
+
+        // Fill history from the newest message backwards
+        let remaining = budget - fixed - promptTokens();
+        const history = (context.history || []).map(m => this.truncateMessage(m));
+        const historyCost = history.reduce((sum, m) => sum + this.estimateMessage(m), 0);
+
+        // If not everything fits, keep room for a summary of what gets dropped
+        if (historyCost > remaining) {
+            remaining -= this.SUMMARY_MAX_TOKENS + this.MESSAGE_OVERHEAD;
+        }
+
+        const kept = [];
+        let index = history.length - 1;
+        for (; index >= 0; index--) {
+            const cost = this.estimateMessage(history[index]);
+            if (cost > remaining) break;
+            kept.unshift(history[index]);
+            remaining -= cost;
+        }
+
+        // Anything older becomes a short summary
+        const dropped = (context.history || []).slice(0, index + 1);
+        if (dropped.length > 0) {
+            fitted.historySummary = this.limitText(ConversationManager.summarizeMessages(dropped), this.SUMMARY_MAX_TOKENS);
+        }
+
+        fitted.history = kept;
+        fitted.budget = {
+            limit: budget,
+            used: budget - Math.max(0, remaining),
+            historyKept: kept.length,
+            historyDropped: (context.history || []).length - kept.length
+        };
+
+        if (fitted.budget.historyDropped > 0) {
+            console.log(`${MODULE_ID} | Context budget ${budget}: kept ${kept.length} messages, summarised ${fitted.budget.historyDropped}`);
+        }
+
+        return fitted;
+    }
+
+    /**
+     * Cut a text to a token limit
+     * @param {string} text - Text
+     * @param {number} maxTokens - Token limit
+     * @returns {string} Text within the limit
+     */
+    static limitText(text, maxTokens) {
+        const maxChars = Math.floor(maxTokens * this.CHARS_PER_TOKEN);
+        if (!text || text.length <= maxChars) return text || '';
+        return text.substring(0, maxChars) + '...';
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Undo History - What the executed actions changed, so they can be taken back
+ */
+
+import { MODULE_ID, getSetting } from './config.js';
+import { SettingsRelay } from './settings-relay.js';
+import { Capabilities } from './capabilities.js';
+import { CREATION_ACTIONS } from './creation-schema.js';
+
+/**
+ * Stores one entry per executed action, newest first: the UUIDs of the documents it
+ * created and, for modifications, a snapshot of the actor taken before the change.
+ * Undoing deletes the created documents or puts the actor back as it was.
+ * The number of entries kept is the undoDepth setting (0 = no undo).
+ */
+export class UndoHistory {
+    static SETTING_KEY = 'undoHistory';
+    static DEFAULT_DEPTH = 5;
+
+    static taken = new Map(); // id -> entry taken on this client, the only ones restore() puts back
+
+    /**
+     * Get the number of actions that can be undone
+     * @returns {number}
+     */
+    static getDepth() {
+        const depth = Number(getSetting('undoDepth'));
+        return Number.isFinite(depth) && depth >= 0 ? depth : this.DEFAULT_DEPTH;
+    }
+
+    /**
+     * Get all entries, newest first
+     * @returns {Array<Object>} Entries
+     */
+    static getAll() {
+        try {
+            return foundry.utils.deepClone(game.settings.get(MODULE_ID, this.SETTING_KEY) || []);
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error loading undo history:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Get an entry
+     * @param {string} id - Entry id
+     * @returns {Object|null} { id, actionId, type, name, created, snapshot, personaId, whisper, userId, messageId, createdAt }
+     */
+    static get(id) {
+        return this.getAll().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Get a user's most recent entry, the one their `!R annulla-ultima` undoes
+     * @param {string} userId - User who executed the action (defaults to the current one)
+     * @returns {Object|null} Entry
+     */
+    static getLatest(userId = game.user.id) {
+        return this.getAll().find(entry => entry.userId === userId) || null;
+    }
+
+    /**
+     * Whether a user may undo an entry: the one who executed the action, or a GM
+     * @param {Object} entry - Entry
+     * @param {User} user - User (defaults to the current one)
+     * @returns {boolean}
+     */
+    static canUndo(entry, user = game.user) {
+        return entry.userId === user.id || user.isGM;
+    }
+
+    /**
+     * Register the undo history operations run through the GM for players.
+     * Each needs the capability of the kind of action it touches, and only the user who
+     * executed an action (or a GM) may change its entry; clearing is for the GM only.
+     * Called from module.js during module init
+     */
+    static registerOperations() {
+        const forEntry = (entry, user) => {
+            if (!entry) return null;
+            return this.canUndo(entry, user) ? Capabilities.forAction(entry.type) : false;
+        };
+        const forStored = ({ id }, user) => forEntry(this.get(id), user);
+
+        SettingsRelay.register('undo.record', {
+            capability: ({ entry }) => Capabilities.forAction(entry?.type),
+            apply: ({ entry }, user) => this.addEntry(entry, user)
+        });
+        SettingsRelay.register('undo.update', {
+            capability: forStored,
+            apply: ({ id, changes }) => this.updateEntry(id, changes)
+        });
+        SettingsRelay.register('undo.take', {
+            capability: forStored,
+            apply: ({ id }) => this.takeEntry(id)
+        });
+        SettingsRelay.register('undo.restore', {
+            capability: ({ id }, user) => forEntry(this.taken.get(id), user),
+            apply: ({ id }) => this.restoreEntry(id)
+        });
+        SettingsRelay.register('undo.clear', {
+            capability: (payload, user) => user.isGM ? null : false,
+            apply: () => this.save([])
+        });
+    }
+
+    /**
+     * Take a snapshot of an actor before it is modified
+     * @param {string} uuid - Actor UUID
+     * @returns {Promise<Object|null>} { uuid, data } or null when the actor is not found
+     */
+    static async snapshot(uuid) {
+        const actor = await fromUuid(uuid);
+        return actor ? { uuid: actor.uuid, data: actor.toObject() } : null;
+    }
+
+    /**
+     * Record an executed action
+     * @param {Object} entry - { actionId, type, name, created: Array<string>, snapshot, personaId, whisper }
+     * @returns {Promise<Object|null>} Stored entry, or null when undo is disabled
+     */
+    static async record(entry) {
+        if (this.getDepth() === 0) return null;
+
+        // The action already happened: a history that cannot be saved only means no undo
+        try {
+            return await SettingsRelay.run('undo.record', { entry });
+        } catch (error) {
+            console.error(`${MODULE_ID} | Could not record the undo of ${entry.type}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Change an entry (the id of its success card)
+     * @param {string} id - Entry id
+     * @param {Object} changes - Fields to replace
+     */
+    static async update(id, changes) {
+        await SettingsRelay.run('undo.update', { id, changes });
+    }
+
+    /**
+     * Take an entry out of the history, so it is undone only once
+     * @param {string} id - Entry id
+     * @returns {Promise<Object|null>} The entry, or null when it was already undone or dropped
+     */
+    static async take(id) {
+        return SettingsRelay.run('undo.take', { id });
+    }
+
+    /**
+     * Put back an entry whose undo failed
+     * @param {Object} entry - Entry taken with take()
+     */
+    static async restore(entry) {
+        await SettingsRelay.run('undo.restore', { id: entry.id });
+    }
+
+    /**
+     * Store a new entry (on the client that writes settings)
+     * @param {Object} entry - { actionId, type, name, created, snapshot, personaId, whisper }
+     * @param {User} user - User who executed the action
+     * @returns {Promise<Object|null>} Stored entry, or null when undo is disabled
+     */
+    static async addEntry(entry, user = game.user) {
+        const depth = this.getDepth();
+        if (depth === 0) return null;
+
+        await this.validateEntry(entry, user);
+        const stored = {
+            messageId: null,
+            created: [],
+            snapshot: null,
+            ...entry,
+            id: foundry.utils.randomID(),
+            createdAt: new Date().toISOString(),
+            userId: user.id
+        };
+
+        await this.save([stored, ...this.getAll()].slice(0, depth));
+        return stored;
+    }
+
+    /**
+     * Check an entry sent by a user: undoing it deletes or overwrites documents, so they
+     * must be documents the user owns
+     * @param {Object} entry - { type, created, snapshot }
+     * @param {User} user - User who executed the action
+     * @throws {Error} When the entry is malformed or touches documents the user does not own
+     */
+    static async validateEntry(entry, user) {
+        if (!CREATION_ACTIONS.includes(entry?.type)) throw new Error(`Invalid action type: ${entry?.type}`);
+
+        const created = entry.created ?? [];
+        if (!Array.isArray(created) || !created.every(uuid => typeof uuid === 'string')) {
+            throw new Error('Invalid list of created documents');
+        }
+
+        const snapshot = entry.snapshot ?? null;
+        if (snapshot && (typeof snapshot.uuid !== 'string' || typeof snapshot.data !== 'object' || !snapshot.data)) {
+            throw new Error('Invalid actor snapshot');
+        }
+        if (entry.type === 'modify_actor' && !snapshot) throw new Error('A modification needs an actor snapshot');
+
+        if (user.isGM) return;
+        for (const uuid of [...created, ...(snapshot ? [snapshot.uuid] : [])]) {
+            const document = await fromUuid(uuid);
+            if (document && !document.testUserPermission(user, 'OWNER')) {
+                throw new Error(`${user.name} does not own ${uuid}`);
+            }
+        }
+    }
+
+    /**
+     * Change a stored entry (on the client that writes settings)
+     * @param {string} id - Entry id
+     * @param {Object} changes - { messageId } (other fields are ignored)
+     */
+    static async updateEntry(id, changes) {
+        const entries = this.getAll();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return;
+        if (changes && 'messageId' in changes) entry.messageId = changes.messageId;
+        await this.save(entries);
+    }
+
+    /**
+     * Remove a stored entry (on the client that writes settings)
+     * @param {string} id - Entry id
+     * @returns {Promise<Object|null>} The entry, or null when it was already undone or dropped
+     */
+    static async takeEntry(id) {
+        const entries = this.getAll();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return null;
+        await this.save(entries.filter(e => e.id !== id));
+
+        this.taken.set(id, entry);
+        while (this.taken.size > Math.max(this.getDepth(), 1)) {
+            this.taken.delete(this.taken.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * Put back an entry taken on this client (on the client that writes settings)
+     * @param {string} id - Id of an entry taken with takeEntry()
+     */
+    static async restoreEntry(id) {
+        const entry = this.taken.get(id);
+        if (!entry) throw new Error(`Undo entry not taken here: ${id}`);
+        this.taken.delete(id);
+
+        const entries = [entry, ...this.getAll().filter(e => e.id !== entry.id)];
+        entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        await this.save(entries.slice(0, Math.max(this.getDepth(), 1)));
+    }
+
+    /**
+     * Undo an entry: delete what it created and restore the actor it modified
+     * @param {Object} entry - Entry
+     */
+    static async undo(entry) {
+        // Newest first, so items created on an actor go before the actor
+        for (const uuid of [...entry.created].reverse()) {
+            const document = await fromUuid(uuid);
+            if (document) await document.delete();
+        }
+
+        if (entry.snapshot) {
+            const actor = await fromUuid(entry.snapshot.uuid);
+            if (!actor) {
+                throw new Error(game.i18n.format('RYOMA.Undo.ActorMissing', { name: entry.snapshot.data.name }));
+            }
+            await this.restoreActor(actor, entry.snapshot.data);
+        }
+
+        console.log(`${MODULE_ID} | Undid ${entry.type}: ${entry.name}`);
+    }
+
+    /**
+     * Put an actor back to a snapshot: its data and its items
+     * @param {Actor} actor - Actor
+     * @param {Object} data - actor.toObject() taken before the change
+     */
+    static async restoreActor(actor, data) {
+        const { items = [], effects, _stats, ...actorData } = foundry.utils.deepClone(data);
+
+        // Whole objects are replaced, so fields added by the change go away too
+        await actor.update(actorData, { recursive: false, diff: false });
+
+        const kept = new Set(items.map(item => item._id));
+        const added = actor.items.filter(item => !kept.has(item.id)).map(item => item.id);
+        if (added.length > 0) await actor.deleteEmbeddedDocuments('Item', added);
+
+        const missing = items.filter(item => !actor.items.has(item._id));
+        if (missing.length > 0) await actor.createEmbeddedDocuments('Item', missing, { keepId: true });
+    }
+
+    /**
+     * Save the history
+     * @param {Array<Object>} entries - Entries, newest first
+     */
+    static async save(entries) {
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, entries);
+    }
+
+    /**
+     * Drop every entry
+     */
+    static async clear() {
+        await SettingsRelay.run('undo.clear');
+        console.log(`${MODULE_ID} | Undo history cleared`);
+    }
+}
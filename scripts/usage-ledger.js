@@ -0,0 +1,262 @@
+/**
+ * Fuori D20: Ryoma Assistant
+ * Usage Ledger - Token and cost accounting with spending caps
+ */
+
+import { MODULE_ID, getSetting, getProvider, getModel, getModelInfo, getModelDisplayName } from './config.js';
+import { SettingsRelay } from './settings-relay.js';
+
+/**
+ * Records token usage and estimated cost of every LLM request
+ * (stored in a world setting, like the conversation history)
+ */
+export class UsageLedger {
+    static SETTING_KEY = 'usageLedger';
+    static MAX_ENTRIES = 200; // Individual requests kept for the report
+    static MAX_DAYS = 400; // Daily aggregates kept (covers the monthly cap and a year of reports)
+
+    /**
+     * Get the ledger data
+     * @returns {Object} Ledger with recent entries and daily aggregates
+     */
+    static getLedger() {
+        try {
+            const ledger = game.settings.get(MODULE_ID, this.SETTING_KEY) || {};
+            return {
+                entries: ledger.entries || [],
+                days: ledger.days || {}
+            };
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error loading usage ledger:`, error);
+            return { entries: [], days: {} };
+        }
+    }
+
+    /**
+     * Estimate the cost of a request in USD
+     * @param {string} modelId - Model identifier
+     * @param {Object} usage - OpenAI-format usage
+     * @returns {number} Estimated cost
+     */
+    static estimateCost(modelId, usage) {
+        const info = getModelInfo(modelId);
+        if (!info || !usage) return 0;
+
+        const input = (usage.prompt_tokens || 0) * (info.costPer1MInput || 0);
+        const output = (usage.completion_tokens || 0) * (info.costPer1MOutput || 0);
+        return (input + output) / 1000000;
+    }
+
+    /**
+     * Register the ledger operations run through the GM for players
+     * Called from module.js during module init
+     */
+    static registerOperations() {
+        SettingsRelay.register('usage.record', {
+            capability: null,
+            apply: ({ entry }, user) => this.addEntry(entry, user)
+        });
+    }
+
+    /**
+     * Record a completed request
+     * @param {Object} response - Normalized response with modelUsed and usage
+     * @returns {Promise<Object|null>} Ledger entry
+     */
+    static async record(response) {
+        if (!response?.usage) return null;
+
+        try {
+            const model = response.modelUsed;
+
+            // Players go through the GM
+            return await SettingsRelay.run('usage.record', {
+                entry: {
+                    provider: response.provider || getProvider().id,
+                    model: model,
+                    promptTokens: response.usage.prompt_tokens || 0,
+                    completionTokens: response.usage.completion_tokens || 0
+                }
+            });
+        } catch (error) {
+            // Accounting must never break a conversation
+            console.error(`${MODULE_ID} | Error recording usage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Add an entry to the stored ledger (on the client that writes settings).
+     * The cost is estimated here from the model prices, not taken from the sender.
+     * @param {Object} data - { provider, model, promptTokens, completionTokens }
+     * @param {User} user - User who made the request
+     * @returns {Promise<Object>} Ledger entry
+     */
+    static async addEntry(data, user = game.user) {
+        const ledger = this.getLedger();
+        const now = new Date();
+        const count = value => Math.max(0, Number(value) || 0);
+
+        const model = String(data?.model ?? '');
+        const promptTokens = count(data?.promptTokens);
+        const completionTokens = count(data?.completionTokens);
+
+        const entry = {
+            id: foundry.utils.randomID(),
+            timestamp: now.toISOString(),
+            userId: user.id,
+            userName: user.name,
+            provider: String(data?.provider ?? ''),
+            model: model,
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            cost: this.estimateCost(model, { prompt_tokens: promptTokens, completion_tokens: completionTokens })
+        };
+
+        ledger.entries.push(entry);
+        while (ledger.entries.length > this.MAX_ENTRIES) {
+            ledger.entries.shift();
+        }
+
+        // Aggregate per day -> user -> model
+        const dayKey = this.getDayKey(now);
+        const day = ledger.days[dayKey] ||= {};
+        const bucketUser = day[entry.userId] ||= { name: entry.userName, models: {} };
+        const bucket = bucketUser.models[entry.model] ||= { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        bucket.requests += 1;
+        bucket.promptTokens += entry.promptTokens;
+        bucket.completionTokens += entry.completionTokens;
+        bucket.cost += entry.cost;
+
+        const dayKeys = Object.keys(ledger.days).sort();
+        while (dayKeys.length > this.MAX_DAYS) {
+            delete ledger.days[dayKeys.shift()];
+        }
+
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, ledger);
+        return entry;
+    }
+
+    /**
+     * Get the ledger key for a date
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM-DD
+     */
+    static getDayKey(date = new Date()) {
+        return date.toISOString().substring(0, 10);
+    }
+
+    /**
+     * Sum the aggregates of the days matching a prefix
+     * @param {string} prefix - 'YYYY-MM-DD' for a day, 'YYYY-MM' for a month, '' for everything
+     * @returns {Object} Totals
+     */
+    static getTotals(prefix = '') {
+        const { days } = this.getLedger();
+        const totals = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+        for (const [dayKey, users] of Object.entries(days)) {
+            if (!dayKey.startsWith(prefix)) continue;
+            for (const user of Object.values(users)) {
+                for (const bucket of Object.values(user.models)) {
+                    this.addBucket(totals, bucket);
+                }
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Add a usage bucket to a running total
+     * @param {Object} target - Running total
+     * @param {Object} bucket - Bucket to add
+     */
+    static addBucket(target, bucket) {
+        target.requests += bucket.requests;
+        target.promptTokens += bucket.promptTokens;
+        target.completionTokens += bucket.completionTokens;
+        target.cost += bucket.cost;
+    }
+
+    /**
+     * Build the report grouped by day, user and model
+     * @param {number} dayCount - Number of recent days to list
+     * @returns {Object} Report data
+     */
+    static buildReport(dayCount = 30) {
+        const { entries, days } = this.getLedger();
+        const byUser = {};
+        const byModel = {};
+        const byDay = [];
+
+        for (const dayKey of Object.keys(days).sort().reverse()) {
+            const dayTotal = { day: dayKey, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+            for (const [userId, user] of Object.entries(days[dayKey])) {
+                for (const [model, bucket] of Object.entries(user.models)) {
+                    this.addBucket(dayTotal, bucket);
+                    this.addBucket(byUser[userId] ||= { name: user.name, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 }, bucket);
+                    this.addBucket(byModel[model] ||= { name: getModelDisplayName(model), requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 }, bucket);
+                }
+            }
+
+            if (byDay.length < dayCount) byDay.push(dayTotal);
+        }
+
+        return {
+            today: this.getTotals(this.getDayKey()),
+            month: this.getTotals(this.getDayKey().substring(0, 7)),
+            total: this.getTotals(),
+            byDay,
+            byUser: Object.values(byUser).sort((a, b) => b.cost - a.cost),
+            byModel: Object.values(byModel).sort((a, b) => b.cost - a.cost),
+            recent: entries.slice(-20).reverse().map(e => ({
+                ...e,
+                modelName: getModelDisplayName(e.model)
+            }))
+        };
+    }
+
+    /**
+     * Check the configured daily and monthly caps
+     * @returns {Object} { exceeded, period, spent, limit }
+     */
+    static checkBudget() {
+        const dailyLimit = Number(getSetting('dailyBudget')) || 0;
+        const monthlyLimit = Number(getSetting('monthlyBudget')) || 0;
+
+        if (dailyLimit > 0) {
+            const spent = this.getTotals(this.getDayKey()).cost;
+            if (spent >= dailyLimit) return { exceeded: true, period: 'daily', spent, limit: dailyLimit };
+        }
+
+        if (monthlyLimit > 0) {
+            const spent = this.getTotals(this.getDayKey().substring(0, 7)).cost;
+            if (spent >= monthlyLimit) return { exceeded: true, period: 'monthly', spent, limit: monthlyLimit };
+        }
+
+        return { exceeded: false };
+    }
+
+    /**
+     * Get the cheapest known model of the active provider, used when the budget is exceeded
+     * @returns {string} Model identifier
+     */
+    static getDowngradeModel() {
+        const models = Object.entries(getProvider().models || {});
+        if (models.length === 0) return getModel(false);
+
+        const priced = models.map(([id, info]) => [id, (info.costPer1MInput || 0) + (info.costPer1MOutput || 0)]);
+        priced.sort((a, b) => a[1] - b[1]);
+        return priced[0][0];
+    }
+
+    /**
+     * Clear the ledger
+     */
+    static async reset() {
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, { entries: [], days: {} });
+        console.log(`${MODULE_ID} | Usage ledger cleared`);
+    }
+}